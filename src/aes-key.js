@@ -0,0 +1,122 @@
+'use strict'
+
+const crypto = require('crypto')
+const forge = require('node-forge')
+const multihash = require('multihashes')
+
+/**
+ * Creates the forge GCM options.
+ */
+function gcmOptions (iv, additionalData) {
+  const options = { iv: iv, tagLength: 128 }
+  if (additionalData) {
+    options.additionalData = additionalData.toString('binary')
+  }
+  return options
+}
+
+/**
+ * A symmetric AES key, used with GCM.
+ */
+class AesKey {
+  /**
+   * @param {Buffer} key - The 128, 192 or 256 bit key
+   */
+  constructor (key) {
+    if (!Buffer.isBuffer(key) || [16, 24, 32].indexOf(key.length) < 0) {
+      throw new Error('An AES key must be 128, 192 or 256 bits')
+    }
+    this.key = key
+  }
+
+  /**
+   * Generates a random key.
+   *
+   * @param {number} bits - 128, 192 or 256
+   * @param {function(Error, AesKey)} callback
+   */
+  static generate (bits, callback) {
+    if ([128, 192, 256].indexOf(bits) < 0) {
+      return callback(new Error(`Invalid AES key size ${bits}`))
+    }
+    forge.random.getBytes(bits / 8, (err, bytes) => {
+      if (err) return callback(err)
+
+      callback(null, new AesKey(Buffer.from(bytes, 'binary')))
+    })
+  }
+
+  /**
+   * The key size in bits.
+   */
+  get size () {
+    return this.key.length * 8
+  }
+
+  /**
+   * Gets the SHA-256 multihash that identifies the key.
+   *
+   * The key has no public part, so the hash is an HMAC of a fixed
+   * string keyed by the key; it does not reveal the key.
+   *
+   * @param {function(Error, Buffer)} callback
+   */
+  hash (callback) {
+    try {
+      const digest = crypto.createHmac('sha256', this.key).update('ipfs-keychain key id').digest()
+      callback(null, multihash.encode(digest, 'sha2-256'))
+    } catch (err) {
+      callback(err)
+    }
+  }
+
+  /**
+   * Encrypts with AES-GCM and a random 96 bit IV.
+   *
+   * @param {Buffer} plain
+   * @param {Buffer} [additionalData] - Authenticated, but not encrypted
+   * @returns {object} the `iv`, `cipherText` and 128 bit `tag`; all Buffers
+   */
+  encrypt (plain, additionalData) {
+    const iv = forge.random.getBytesSync(12)
+    const cipher = forge.cipher.createCipher('AES-GCM', this.key.toString('binary'))
+    cipher.start(gcmOptions(iv, additionalData))
+    cipher.update(forge.util.createBuffer(plain.toString('binary')))
+    cipher.finish()
+
+    return {
+      iv: Buffer.from(iv, 'binary'),
+      cipherText: Buffer.from(cipher.output.getBytes(), 'binary'),
+      tag: Buffer.from(cipher.mode.tag.getBytes(), 'binary')
+    }
+  }
+
+  /**
+   * Decrypts with AES-GCM.
+   *
+   * @param {Buffer} iv
+   * @param {Buffer} cipherText
+   * @param {Buffer} tag - 128 bits
+   * @param {Buffer} [additionalData]
+   * @returns {Buffer} the plain data
+   * @throws {Error} when the data has been changed, the tag is not 128 bits
+   *   or the key is wrong
+   */
+  decrypt (iv, cipherText, tag, additionalData) {
+    // A shorter tag is weaker and forge does not authenticate an empty tag
+    if (tag.length !== 16) {
+      throw new Error('Cannot decrypt, the authentication tag must be 128 bits')
+    }
+    const decipher = forge.cipher.createDecipher('AES-GCM', this.key.toString('binary'))
+    const options = gcmOptions(iv.toString('binary'), additionalData)
+    options.tag = forge.util.createBuffer(tag.toString('binary'))
+    decipher.start(options)
+    decipher.update(forge.util.createBuffer(cipherText.toString('binary')))
+    if (!decipher.finish()) {
+      throw new Error('Cannot decrypt, the data has been changed or the key is wrong')
+    }
+    return Buffer.from(decipher.output.getBytes(), 'binary')
+  }
+}
+
+module.exports = AesKey
@@ -0,0 +1,236 @@
+'use strict'
+
+// Encrypted IPFS blocks.  The data of a block is a small JSON header,
+// naming the key ids of the recipients, followed by a CMS EnvelopedData
+// message of the content; see encode.  The block has its own CID, so the
+// CID of the content is not revealed.
+
+const async = require('async')
+const CID = require('cids')
+const Block = require('ipfs-block')
+const multihash = require('multihashes')
+const multihashing = require('multihashing-async')
+const util = require('./util')
+
+// The version of the block format
+const version = 1
+
+/**
+ * Encodes the data of an encrypted block.
+ *
+ * The data is the length of the header as a 32 bit big endian integer, the
+ * JSON encoded header and then the DER encoded CMS message.
+ *
+ * @param {object} header - The `v`ersion, `codec` of the content and `recipients`
+ * @param {Buffer} cms - The EnvelopedData message
+ * @returns {Buffer}
+ */
+function encode (header, cms) {
+  const json = Buffer.from(JSON.stringify(header))
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(json.length, 0)
+  return Buffer.concat([length, json, cms])
+}
+
+/**
+ * Decodes the data of an encrypted block, see encode.
+ *
+ * @param {Buffer} data
+ * @returns {object} the `header` and `cms` message
+ * @throws {Error} when the data is not an encrypted block or has an unknown version
+ */
+function decode (data) {
+  let header
+  let cms
+  try {
+    const length = data.readUInt32BE(0)
+    header = JSON.parse(data.slice(4, 4 + length).toString())
+    cms = data.slice(4 + length)
+    if (!header.codec || !Array.isArray(header.recipients) || cms.length === 0) {
+      throw new Error('missing a member')
+    }
+  } catch (err) {
+    throw new Error(`Invalid encrypted block. ${err.message}`)
+  }
+  if (header.v !== version) {
+    throw new Error(`Unsupported encrypted block version '${header.v}'`)
+  }
+  return { header: header, cms: cms }
+}
+
+/**
+ * Determines if the recipients are key names, rather than public keys.
+ */
+function areKeyNames (recipients) {
+  const isName = (r) => typeof r === 'string' && !r.startsWith('-----BEGIN')
+  if (recipients.every(isName)) return true
+  if (!recipients.some(isName)) return false
+  throw new Error('The recipients must all be key names or all be public keys')
+}
+
+class Blocks {
+  constructor (keystore) {
+    if (!keystore) {
+      throw new Error('keystore is required')
+    }
+
+    this.keystore = keystore
+  }
+
+  /**
+   * Creates an encrypted block of raw bytes or a DAG node.
+   *
+   * The recipients are names of keys in the key chain or of contacts, or
+   * public keys; a `PeerId`, a libp2p-crypto public key protobuf or a PEM
+   * encoded SubjectPublicKeyInfo.  Any of the recipients can read the block.
+   *
+   * @param {string | PeerId | Buffer | Array} recipients
+   * @param {Buffer | object} data - Raw bytes or a DAG node
+   * @param {object} [options]
+   * @param {object} [options.format] - The IPLD format of a DAG node, such as `ipld-dag-cbor`
+   * @param {string} [options.hashAlg] - The hash algorithm of the CID, defaults to 'sha2-256'
+   * @param {function(Error, Block)} callback - The encrypted block
+   */
+  encrypt (recipients, data, options, callback) {
+    const self = this
+    options = options || {}
+    const format = options.format
+    if (!format && !Buffer.isBuffer(data)) {
+      return callback(new Error('Data is required, a DAG node also requires its format'))
+    }
+    recipients = Array.isArray(recipients) ? recipients : [recipients]
+    let names
+    try {
+      names = areKeyNames(recipients)
+    } catch (err) {
+      return callback(err)
+    }
+    const cms = self.keystore.cms
+    let keyIds
+
+    async.waterfall([
+      (cb) => self._keyIds(recipients, names, cb),
+      (ids, cb) => {
+        keyIds = ids
+        format ? format.util.serialize(data, cb) : cb(null, data)
+      },
+      (plain, cb) => names
+        ? cms.createAnonymousEncryptedData(recipients, plain, cb)
+        : cms.createPublicKeyEncryptedData(recipients, plain, cb),
+      (message, cb) => {
+        const header = {
+          v: version,
+          codec: format ? format.resolver.multicodec : 'raw',
+          recipients: keyIds
+        }
+        const blockData = encode(header, message)
+        multihashing(blockData, options.hashAlg || 'sha2-256', (err, hash) => {
+          if (err) return cb(err)
+
+          cb(null, new Block(blockData, new CID(1, 'raw', hash)))
+        })
+      }
+    ], callback)
+  }
+
+  /**
+   * Gets the key ids of the recipients, see encrypt.
+   *
+   * @param {Array} recipients - The key or contact names, or public keys
+   * @param {boolean} names - The recipients are key names
+   * @param {function(Error, string[])} callback
+   */
+  _keyIds (recipients, names, callback) {
+    const self = this
+    async.mapSeries(recipients, (recipient, cb) => {
+      if (names) {
+        return self.keystore._findContact(recipient, (err, contact) => {
+          if (err) return cb(err)
+          if (contact) return cb(null, contact.id)
+
+          self.keystore.findKeyByName(recipient, (err, info) => cb(err, info && info.id))
+        })
+      }
+      let publicKey
+      try {
+        publicKey = util.publicKeyFrom(recipient)
+      } catch (err) {
+        return cb(err)
+      }
+      util.keyId(publicKey, cb)
+    }, callback)
+  }
+
+  /**
+   * Gets the key ids of the recipients of an encrypted block.
+   *
+   * @param {Block} block
+   * @param {function(Error, string[])} callback
+   */
+  recipients (block, callback) {
+    if (!block || !Buffer.isBuffer(block.data)) {
+      return callback(new Error('Block is required'))
+    }
+
+    let decoded
+    try {
+      decoded = decode(block.data)
+    } catch (err) {
+      return callback(err)
+    }
+    callback(null, decoded.header.recipients)
+  }
+
+  /**
+   * Reads an encrypted block.
+   *
+   * The block's data must match its CID.  The content is decrypted with a
+   * key in the key chain, see `cms.readData`.  A DAG node is deserialized
+   * when its format is given.
+   *
+   * @param {Block} block - The `data` and `cid` of the encrypted block
+   * @param {object} [options]
+   * @param {object} [options.format] - The IPLD format of a DAG node
+   * @param {function(Error, Buffer | object)} callback - The raw bytes or DAG node
+   */
+  decrypt (block, options, callback) {
+    const self = this
+    options = options || {}
+    if (!block || !Buffer.isBuffer(block.data) || !CID.isCID(block.cid)) {
+      return callback(new Error('Block is required'))
+    }
+    const format = options.format
+
+    let decoded
+    let hashAlg
+    try {
+      decoded = decode(block.data)
+      hashAlg = multihash.decode(block.cid.multihash).name
+    } catch (err) {
+      return callback(err)
+    }
+    if (format && format.resolver.multicodec !== decoded.header.codec) {
+      return callback(new Error(`The block contains '${decoded.header.codec}', not '${format.resolver.multicodec}'`))
+    }
+
+    async.waterfall([
+      (cb) => multihashing(block.data, hashAlg, cb),
+      (hash, cb) => {
+        if (!hash.equals(block.cid.multihash)) {
+          return cb(new Error('The block does not match its CID'))
+        }
+        self.keystore.cms.readData(decoded.cms, cb)
+      },
+      (plain, cb) => format ? format.util.deserialize(plain, cb) : cb(null, plain)
+    ], callback)
+  }
+}
+
+// Return a Promise when the callback is omitted
+;[
+  'encrypt', 'recipients', 'decrypt'
+].forEach((method) => {
+  Blocks.prototype[method] = util.promisify(Blocks.prototype[method])
+})
+
+module.exports = Blocks
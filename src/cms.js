@@ -3,6 +3,495 @@
 const async = require('async')
 const forge = require('node-forge')
 const util = require('./util')
+const AesKey = require('./aes-key')
+
+const asn1 = forge.asn1
+const oids = forge.pki.oids
+
+// The content type of AuthEnvelopedData, see RFC 5083
+const authEnvelopedData = '1.2.840.113549.1.9.16.1.23'
+
+// The key sizes of the AES-GCM ciphers, see RFC 5084
+const aesGcmKeySizes = {
+  [util.oids.aes128GCM]: 16,
+  [util.oids.aes192GCM]: 24,
+  [util.oids.aes256GCM]: 32
+}
+
+// The key encryption algorithm of a password recipient, see RFC 3211
+const pwriKek = '1.2.840.113549.1.9.16.3.9'
+
+// The key sizes of the AES-CBC ciphers
+const aesCbcKeySizes = {
+  [oids['aes128-CBC']]: 16,
+  [oids['aes192-CBC']]: 24,
+  [oids['aes256-CBC']]: 32
+}
+
+// A password recipient can have at most this many times the PBKDF2
+// iterations of the DEK
+const maxIterationFactor = 10
+
+// The hash algorithms of the PBKDF2 pseudorandom functions
+const prfHashes = {
+  [oids.hmacWithSHA1]: 'sha1',
+  [oids.hmacWithSHA256]: 'sha256',
+  [oids.hmacWithSHA384]: 'sha384',
+  [oids.hmacWithSHA512]: 'sha512'
+}
+
+/**
+ * Gets the content octets of an OCTET STRING; which may be constructed.
+ */
+function octets (obj) {
+  if (!obj.constructed) return obj.value
+  return obj.value.map(octets).join('')
+}
+
+/**
+ * Gets the values of an attribute from a list of ASN.1 Attributes.
+ */
+function attributeValues (attributes, oid) {
+  const attribute = attributes.find((a) => asn1.derToOid(a.value[0].value) === oid)
+  return attribute ? attribute.value[1].value : []
+}
+
+/**
+ * Encrypts or decrypts with AES-CBC, without padding.
+ */
+function aesCbc (encrypt, key, iv, data) {
+  const cipher = encrypt
+    ? forge.cipher.createCipher('AES-CBC', key)
+    : forge.cipher.createDecipher('AES-CBC', key)
+  cipher.start({ iv: iv })
+  cipher.update(forge.util.createBuffer(data))
+  cipher.finish(() => true)
+  return cipher.output.getBytes()
+}
+
+/**
+ * Wraps a content encryption key with a key encryption key, see RFC 3211
+ * section 2.3.
+ *
+ * The length, a check value and the key are padded to at least two blocks
+ * and then encrypted twice with CBC.
+ *
+ * @param {string} kek
+ * @param {string} iv
+ * @param {string} cek
+ * @returns {string} the encrypted key
+ */
+function wrapKey (kek, iv, cek) {
+  const blockSize = 16
+  const check = [0, 1, 2].map((i) => String.fromCharCode(~cek.charCodeAt(i) & 0xff)).join('')
+  let padded = String.fromCharCode(cek.length) + check + cek
+  const length = Math.max(2 * blockSize, Math.ceil(padded.length / blockSize) * blockSize)
+  padded += forge.random.getBytesSync(length - padded.length)
+
+  const inner = aesCbc(true, kek, iv, padded)
+  return aesCbc(true, kek, inner.slice(-blockSize), inner)
+}
+
+/**
+ * Unwraps a content encryption key, see wrapKey.
+ *
+ * @param {string} kek
+ * @param {string} iv
+ * @param {string} wrapped - The encrypted key
+ * @returns {string} the content encryption key
+ * @throws {Error} when the key encryption key is wrong
+ */
+function unwrapKey (kek, iv, wrapped) {
+  const blockSize = 16
+  const n = wrapped.length
+  if (n < 2 * blockSize || n % blockSize !== 0) {
+    throw new Error('Invalid encrypted key')
+  }
+
+  // The last block of the inner layer is the IV of the outer layer
+  const innerIv = aesCbc(false, kek, wrapped.slice(n - 2 * blockSize, n - blockSize), wrapped.slice(n - blockSize))
+  const inner = aesCbc(false, kek, innerIv, wrapped)
+  const padded = aesCbc(false, kek, iv, inner)
+  const length = padded.charCodeAt(0)
+  const cek = padded.slice(4, 4 + length)
+  const valid = length >= 3 && 4 + length <= n &&
+    [0, 1, 2].every((i) => (padded.charCodeAt(1 + i) ^ cek.charCodeAt(i)) === 0xff)
+  if (!valid) {
+    throw new Error('Cannot read the data, most likely the password is wrong')
+  }
+  return cek
+}
+
+/**
+ * Creates a PasswordRecipientInfo, see RFC 3211.
+ *
+ * The key encryption key is derived with PBKDF2 and HMAC-SHA256; the
+ * content encryption key is wrapped with AES-256-CBC.
+ *
+ * @param {string} password
+ * @param {string} cek - The content encryption key
+ * @param {number} iterationCount
+ * @returns {object} the ASN.1 `[3] pwri` RecipientInfo
+ */
+function passwordRecipientInfo (password, cek, iterationCount) {
+  const salt = forge.random.getBytesSync(16)
+  const iv = forge.random.getBytesSync(16)
+  const kek = forge.pkcs5.pbkdf2(password, salt, iterationCount, 32, 'sha256')
+  const create = (type, constructed, value) => asn1.create(asn1.Class.UNIVERSAL, type, constructed, value)
+  const oid = (id) => create(asn1.Type.OID, false, asn1.oidToDer(id).getBytes())
+  const integer = (n) => create(asn1.Type.INTEGER, false, asn1.integerToDer(n).getBytes())
+
+  return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 3, true, [
+    integer(0),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      oid(oids.pkcs5PBKDF2),
+      create(asn1.Type.SEQUENCE, true, [
+        create(asn1.Type.OCTETSTRING, false, salt),
+        integer(iterationCount),
+        create(asn1.Type.SEQUENCE, true, [
+          oid(oids.hmacWithSHA256),
+          create(asn1.Type.NULL, false, '')
+        ])
+      ])
+    ]),
+    create(asn1.Type.SEQUENCE, true, [
+      oid(pwriKek),
+      create(asn1.Type.SEQUENCE, true, [
+        oid(oids['aes256-CBC']),
+        create(asn1.Type.OCTETSTRING, false, iv)
+      ])
+    ]),
+    create(asn1.Type.OCTETSTRING, false, wrapKey(kek, iv, cek))
+  ])
+}
+
+/**
+ * Gets the content encryption key of a PasswordRecipientInfo.
+ *
+ * The PBKDF2 iteration count is limited, because the message can ask for
+ * enough iterations to tie up the process for hours.
+ *
+ * @param {object} pwri - The ASN.1 `[3] pwri` RecipientInfo
+ * @param {string} password
+ * @param {number} maxIterationCount - The most PBKDF2 iterations
+ * @returns {string} the content encryption key
+ * @throws {Error} when the password is wrong, an algorithm is not supported
+ *   or there are too many iterations
+ */
+function readPasswordRecipient (pwri, password, maxIterationCount) {
+  const fields = pwri.value
+  const kdf = fields[1]
+  if (kdf.tagClass !== asn1.Class.CONTEXT_SPECIFIC || kdf.type !== 0 ||
+      asn1.derToOid(kdf.value[0].value) !== oids.pkcs5PBKDF2) {
+    throw new Error('Only a password recipient with PBKDF2 is supported')
+  }
+  const params = kdf.value[1].value
+  const salt = params[0].value
+  const iterationCount = asn1.derToInteger(params[1].value)
+  if (iterationCount < 1 || iterationCount > maxIterationCount) {
+    throw new Error(`Unsupported PBKDF2 iteration count ${iterationCount}, the most is ${maxIterationCount}`)
+  }
+  const prf = params.find((p, i) => i > 1 && p.type === asn1.Type.SEQUENCE)
+  const hash = prfHashes[prf ? asn1.derToOid(prf.value[0].value) : oids.hmacWithSHA1]
+  if (!hash) {
+    throw new Error('Unsupported PBKDF2 pseudorandom function')
+  }
+
+  const kea = fields[2].value
+  if (asn1.derToOid(kea[0].value) !== pwriKek) {
+    throw new Error(`Unsupported key encryption algorithm '${asn1.derToOid(kea[0].value)}'`)
+  }
+  const cipher = asn1.derToOid(kea[1].value[0].value)
+  const keySize = aesCbcKeySizes[cipher]
+  if (!keySize) {
+    throw new Error(`Unsupported key encryption cipher '${cipher}'`)
+  }
+  const iv = kea[1].value[1].value
+
+  const kek = forge.pkcs5.pbkdf2(password, salt, iterationCount, keySize, hash)
+  return unwrapKey(kek, iv, fields[3].value)
+}
+
+/**
+ * Removes the recipients from an EnvelopedData or AuthEnvelopedData
+ * message; forge only reads key transport recipients that are identified
+ * by the issuer and serial number.
+ *
+ * @param {object} obj - The ASN.1 ContentInfo
+ * @returns {object[]} the ASN.1 RecipientInfos
+ */
+function removeRecipients (obj) {
+  const contentType = asn1.derToOid(obj.value[0].value)
+  if (contentType !== oids.envelopedData && contentType !== authEnvelopedData) return []
+
+  const recipientInfos = obj.value[1].value[0].value
+    .find((f) => f.tagClass === asn1.Class.UNIVERSAL && f.type === asn1.Type.SET)
+  const removed = recipientInfos.value
+  recipientInfos.value = []
+  return removed
+}
+
+/**
+ * Finds the key id of a recipient, by its issuer and serial number or its
+ * subject key identifier.
+ *
+ * The certificates of the key chain are searched.  The self-signed
+ * certificate of a key in the key chain (O=ipfs) names the key id.
+ *
+ * @param {object} recipient - See keyTransRecipients
+ * @param {forge.pki.Certificate[]} certificates - The certificates of the
+ *   key chain, with their `keyId`
+ * @returns {string} the key id; undefined when not found
+ */
+function recipientKeyId (recipient, certificates) {
+  // The names are compared in the same encoding
+  const name = (attributes) => asn1.toDer(forge.pki.distinguishedNameToAsn1({ attributes: attributes })).getBytes()
+  const certificate = certificates.find((c) => recipient.subjectKeyIdentifier
+    ? util.subjectKeyIdentifier(c) === recipient.subjectKeyIdentifier
+    : c.serialNumber === recipient.serialNumber && name(c.issuer.attributes) === name(recipient.issuer))
+  if (certificate) return certificate.keyId
+
+  const issuer = recipient.issuer || []
+  const cn = issuer.find((a) => a.shortName === 'CN')
+  if (cn && issuer.find((a) => a.shortName === 'O' && a.value === 'ipfs')) {
+    return cn.value
+  }
+}
+
+/**
+ * Gets the key transport recipients of a list of RecipientInfos.
+ *
+ * A recipient is identified by the `issuer` and `serialNumber`; or by the
+ * `subjectKeyIdentifier`.
+ * The `encryptedContent` is the encrypted key, as in forge's recipients.
+ *
+ * @param {object[]} recipientInfos - The ASN.1 RecipientInfos
+ * @returns {object[]}
+ */
+function keyTransRecipients (recipientInfos) {
+  return recipientInfos
+    // The other kinds of recipients are tagged
+    .filter((r) => r.tagClass === asn1.Class.UNIVERSAL)
+    .map((r) => {
+      const rid = r.value[1]
+      const recipient = {
+        encryptedContent: {
+          algorithm: asn1.derToOid(r.value[2].value[0].value),
+          content: r.value[3].value
+        }
+      }
+      if (rid.tagClass === asn1.Class.CONTEXT_SPECIFIC) {
+        recipient.subjectKeyIdentifier = forge.util.bytesToHex(rid.value)
+      } else {
+        recipient.issuer = forge.pki.RDNAttributesAsArray(rid.value[0])
+        recipient.serialNumber = forge.util.bytesToHex(rid.value[1].value)
+      }
+      return recipient
+    })
+}
+
+/**
+ * Creates the error for a changed AuthEnvelopedData message.
+ */
+function authenticationFailed () {
+  const err = new Error('Cannot authenticate the data, the message has been changed')
+  err.code = 'ERR_AUTHENTICATION_FAILED'
+  return err
+}
+
+/**
+ * Reads an AuthEnvelopedData message with AES-GCM, see RFC 5083 and
+ * RFC 5084.
+ *
+ * Only a 128 bit MAC is accepted; a shorter MAC is easier to forge.
+ *
+ * @param {object} obj - The ASN.1 ContentInfo
+ * @returns {function(string): Buffer} decrypts with the content encryption key
+ */
+function readAuthEnvelopedData (obj) {
+  const fields = obj.value[1].value[0].value
+  // Skip the version and any originatorInfo
+  const i = fields[1].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 2 : 1
+  const contentInfo = fields[i + 1].value
+  const authAttrs = fields[i + 2].tagClass === asn1.Class.CONTEXT_SPECIFIC && fields[i + 2].type === 1
+    ? fields[i + 2]
+    : null
+  const mac = Buffer.from(fields[authAttrs ? i + 3 : i + 2].value, 'binary')
+
+  const algorithm = asn1.derToOid(contentInfo[1].value[0].value)
+  const keySize = aesGcmKeySizes[algorithm]
+  if (!keySize) {
+    throw new Error(`Unsupported content encryption algorithm '${algorithm}'`)
+  }
+  const gcmParameters = contentInfo[1].value[1].value
+  const nonce = Buffer.from(gcmParameters[0].value, 'binary')
+  // The aes-ICVlen defaults to 12
+  const icvLength = gcmParameters[1] ? asn1.derToInteger(gcmParameters[1].value) : 12
+  if (icvLength !== 16) {
+    throw new Error(`Unsupported MAC length ${icvLength}, it must be 16 bytes`)
+  }
+  if (!contentInfo[2]) {
+    throw new Error('Detached content is not supported')
+  }
+  const content = Buffer.from(octets(contentInfo[2]), 'binary')
+  // The authenticated attributes are authenticated as a SET OF
+  const aad = authAttrs
+    ? Buffer.from(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, authAttrs.value)).getBytes(), 'binary')
+    : undefined
+
+  return (cek) => {
+    if (cek.length !== keySize) {
+      throw new Error('Invalid content encryption key')
+    }
+    if (mac.length !== icvLength) throw authenticationFailed()
+    try {
+      return new AesKey(Buffer.from(cek, 'binary')).decrypt(nonce, content, mac, aad)
+    } catch (err) {
+      throw authenticationFailed()
+    }
+  }
+}
+
+/**
+ * Reads an EnvelopedData or AuthEnvelopedData message.
+ *
+ * @param {object} obj - The ASN.1 ContentInfo
+ * @returns {object} the key transport `recipients`, the ASN.1
+ *   `passwordRecipients` and a `decrypt` function of the content encryption
+ *   key; null when the message is not enveloped
+ */
+function readEnvelope (obj) {
+  const recipientInfos = removeRecipients(obj)
+  const message = {
+    recipients: keyTransRecipients(recipientInfos),
+    passwordRecipients: recipientInfos
+      .filter((r) => r.tagClass === asn1.Class.CONTEXT_SPECIFIC && r.type === 3)
+  }
+  if (asn1.derToOid(obj.value[0].value) === authEnvelopedData) {
+    message.decrypt = readAuthEnvelopedData(obj)
+    return message
+  }
+
+  const cms = forge.pkcs7.messageFromAsn1(obj)
+  if (cms.type !== oids.envelopedData) return null
+  message.decrypt = (cek) => {
+    cms.encryptedContent.key = forge.util.createBuffer(cek)
+    cms.decrypt()
+    return Buffer.from(cms.content.getBytes(), 'binary')
+  }
+  return message
+}
+
+/**
+ * Creates a DER encoded EnvelopedData or AuthEnvelopedData message.
+ *
+ * EnvelopedData is encrypted with AES-256-CBC.  AuthEnvelopedData is
+ * encrypted with AES-256-GCM, so a changed message is detected.
+ *
+ * @param {forge.pki.Certificate[]} certificates - The recipients
+ * @param {Buffer} plain - The data to encrypt
+ * @param {object} options
+ * @param {string} [options.password] - Adds a password recipient
+ * @param {number} [options.iterationCount] - The PBKDF2 iterations of the password
+ * @param {boolean} [options.authenticated] - Creates AuthEnvelopedData
+ * @returns {Buffer}
+ */
+function envelope (certificates, plain, options) {
+  const p7 = forge.pkcs7.createEnvelopedData()
+  certificates.forEach((certificate) => p7.addRecipient(certificate))
+  p7.content = forge.util.createBuffer(options.authenticated ? '' : plain)
+  const cek = forge.random.getBytesSync(32)
+  p7.encrypt(forge.util.createBuffer(cek), oids['aes256-CBC'])
+
+  let obj = p7.toAsn1()
+  const fields = obj.value[1].value[0].value
+  const recipientInfos = fields[1]
+  if (options.password) {
+    // With a password recipient, the EnvelopedData version is 3
+    fields[0].value = asn1.integerToDer(3).getBytes()
+    recipientInfos.value.push(passwordRecipientInfo(options.password, cek, options.iterationCount))
+  }
+
+  if (options.authenticated) {
+    const sealed = new AesKey(Buffer.from(cek, 'binary')).encrypt(plain)
+    const create = (type, constructed, value) => asn1.create(asn1.Class.UNIVERSAL, type, constructed, value)
+    const oid = (id) => create(asn1.Type.OID, false, asn1.oidToDer(id).getBytes())
+    const integer = (n) => create(asn1.Type.INTEGER, false, asn1.integerToDer(n).getBytes())
+    obj = create(asn1.Type.SEQUENCE, true, [
+      oid(authEnvelopedData),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        create(asn1.Type.SEQUENCE, true, [
+          integer(0),
+          recipientInfos,
+          create(asn1.Type.SEQUENCE, true, [
+            oid(oids.data),
+            create(asn1.Type.SEQUENCE, true, [
+              oid(util.oids.aes256GCM),
+              create(asn1.Type.SEQUENCE, true, [
+                create(asn1.Type.OCTETSTRING, false, sealed.iv.toString('binary')),
+                integer(sealed.tag.length)
+              ])
+            ]),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, sealed.cipherText.toString('binary'))
+          ]),
+          create(asn1.Type.OCTETSTRING, false, sealed.tag.toString('binary'))
+        ])
+      ])
+    ])
+  }
+
+  const der = asn1.toDer(obj).getBytes()
+  return Buffer.from(der, 'binary')
+}
+
+/**
+ * Verifies the signature of a SignerInfo.
+ *
+ * @param {object} signerInfo - The ASN.1 SignerInfo
+ * @param {forge.pki.Certificate[]} certificates - The certificates in the message
+ * @param {string} content - The signed content bytes
+ * @returns {forge.pki.Certificate} the certificate of the signer
+ */
+function verifySigner (signerInfo, certificates, content) {
+  const fields = signerInfo.value
+  const issuer = asn1.toDer(fields[1].value[0]).getBytes()
+  const serialNumber = forge.util.bytesToHex(fields[1].value[1].value)
+  const certificate = certificates.find((c) => {
+    return c.serialNumber === serialNumber &&
+      asn1.toDer(forge.pki.distinguishedNameToAsn1(c.issuer)).getBytes() === issuer
+  })
+  if (!certificate) {
+    throw new Error('Signer certificate is missing')
+  }
+
+  const digestAlgorithm = asn1.derToOid(fields[2].value[0].value)
+  const createDigest = forge.md[oids[digestAlgorithm]]
+  if (!createDigest) {
+    throw new Error(`Unsupported digest algorithm '${digestAlgorithm}'`)
+  }
+  const contentDigest = createDigest.create().update(content).digest().getBytes()
+
+  // With signed attributes, the signature is over the DER encoding of
+  // the attributes as a SET OF.  Otherwise it is over the content.
+  let i = 3
+  let md = createDigest.create().update(content)
+  if (fields[i].tagClass === asn1.Class.CONTEXT_SPECIFIC && fields[i].type === 0) {
+    const attributes = fields[i].value
+    const digests = attributeValues(attributes, oids.messageDigest)
+    if (digests.length !== 1 || digests[0].value !== contentDigest) {
+      throw new Error('Signed content does not match its message digest')
+    }
+    const set = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes)
+    md = createDigest.create().update(asn1.toDer(set).getBytes())
+    ++i
+  }
+  const signature = fields[i + 1].value
+
+  if (!certificate.publicKey.verify(md.digest().getBytes(), signature)) {
+    throw new Error('Invalid signature')
+  }
+  return certificate
+}
 
 class CMS {
   constructor (keystore) {
@@ -13,80 +502,428 @@ class CMS {
     this.keystore = keystore;
   }
 
-  createAnonymousEncryptedData (name, plain, callback) {
+  /**
+   * Creates an EnvelopedData message for one or more keys in the key chain.
+   *
+   * Any of the recipients can read the message.  A recipient can also be a
+   * contact.
+   *
+   * @param {string | string[]} names - The key or contact name(s) of the recipients
+   * @param {Buffer} plain - The data to encrypt
+   * @param {object} [options]
+   * @param {string} [options.password] - Also allows the password to read the message
+   * @param {boolean} [options.authenticated] - Creates AuthEnvelopedData with AES-GCM
+   * @param {function(Error, Buffer)} callback - The DER encoded message
+   */
+  createAnonymousEncryptedData (names, plain, options, callback) {
     const self = this
     if (!Buffer.isBuffer(plain)) {
       return callback(new Error('Data is required'))
     }
+    options = options || {}
+    names = Array.isArray(names) ? names : (names ? [names] : [])
+    if (names.length === 0 && !options.password) {
+      return callback(new Error('A recipient is required'))
+    }
 
-    self.keystore._getPrivateKey(name, (err, key) => {
-      if (err) {
-        return callback(err)
+    async.mapSeries(names, (name, cb) => self._certificateForRecipient(name, cb), (err, certificates) => {
+      if (err) return callback(err)
+
+      self._envelope(certificates, plain, options, callback)
+    })
+  }
+
+  /**
+   * Creates an EnvelopedData message for a password, see RFC 3211.
+   *
+   * The message can be read by anyone who knows the password; no key is
+   * needed.
+   *
+   * @param {string} password
+   * @param {Buffer} plain - The data to encrypt
+   * @param {object} [options]
+   * @param {boolean} [options.authenticated] - Creates AuthEnvelopedData with AES-GCM
+   * @param {function(Error, Buffer)} callback - The DER encoded message
+   */
+  createPasswordEncryptedData (password, plain, options, callback) {
+    if (!password) {
+      return callback(new Error('Password is required'))
+    }
+    options = Object.assign({}, options, { password: password })
+
+    this.createAnonymousEncryptedData([], plain, options, callback)
+  }
+
+  /**
+   * Creates an EnvelopedData message for one or more public keys.
+   *
+   * The private keys of the recipients are not needed, so data can be
+   * encrypted for other peers.  A recipient is identified by its IPFS key id.
+   *
+   * @param {PeerId | Buffer | string | Array} publicKeys - The public key(s) of
+   *   the recipients; a PeerId, a libp2p-crypto public key protobuf or a PEM
+   *   encoded SubjectPublicKeyInfo
+   * @param {Buffer} plain - The data to encrypt
+   * @param {object} [options]
+   * @param {string} [options.password] - Also allows the password to read the message
+   * @param {boolean} [options.authenticated] - Creates AuthEnvelopedData with AES-GCM
+   * @param {function(Error, Buffer)} callback - The DER encoded message
+   */
+  createPublicKeyEncryptedData (publicKeys, plain, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(plain)) {
+      return callback(new Error('Data is required'))
+    }
+    options = options || {}
+    publicKeys = Array.isArray(publicKeys) ? publicKeys : [publicKeys]
+    if (publicKeys.length === 0 && !options.password) {
+      return callback(new Error('A recipient is required'))
+    }
+
+    async.mapSeries(publicKeys, (publicKey, cb) => {
+      try {
+        publicKey = util.publicKeyFrom(publicKey)
+      } catch (err) {
+        return cb(err)
       }
+      util.certificateForPublicKey(publicKey, cb)
+    }, (err, certificates) => {
+      if (err) return callback(err)
+
+      self._envelope(certificates, plain, options, callback)
+    })
+  }
+
+  /**
+   * Creates an EnvelopedData or AuthEnvelopedData message, see envelope.
+   */
+  _envelope (certificates, plain, options, callback) {
+    let message
+    try {
+      options = Object.assign({ iterationCount: this.keystore.dek.iterationCount }, options)
+      message = envelope(certificates, plain, options)
+    } catch (err) {
+      return callback(err)
+    }
+    callback(null, message)
+  }
+
+  /**
+   * Creates a SignedData message with a key in the key chain.
+   *
+   * @param {string} name - The key name of the signer
+   * @param {Buffer} content - The data to sign
+   * @param {object} [options]
+   * @param {boolean} [options.detached] - When true, the content is not included in the message
+   * @param {function(Error, Buffer)} callback - The DER encoded message
+   */
+  createSignedData (name, content, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(content)) {
+      return callback(new Error('Data is required'))
+    }
+    options = options || {}
+    const done = (err, res) => {
+      self.keystore._audit({ operation: 'sign', name: name }, err, (auditErr) => {
+        callback(err || auditErr, res)
+      })
+    }
+
+    self._certificateForKey(name, 'sign', (err, certificate, privateKey) => {
+      if (err) return done(err)
 
       try {
-        const privateKey = forge.pki.decryptRsaPrivateKey(key, self.keystore._())
-        util.certificateForKey(privateKey, (err, certificate) => {
-          if (err) return callback(err)
+        const p7 = forge.pkcs7.createSignedData()
+        p7.content = forge.util.createBuffer(content.toString('binary'))
+        p7.addCertificate(certificate)
+        p7.addSigner({
+          key: privateKey,
+          certificate: certificate,
+          digestAlgorithm: oids.sha256,
+          authenticatedAttributes: [
+            { type: oids.contentType, value: oids.data },
+            { type: oids.messageDigest },
+            { type: oids.signingTime }
+          ]
+        })
+        p7.sign({ detached: Boolean(options.detached) })
+
+        const der = asn1.toDer(p7.toAsn1()).getBytes()
+        done(null, Buffer.from(der, 'binary'))
+      } catch (err) {
+        done(err)
+      }
+    })
+  }
+
+  /**
+   * Verifies a SignedData message.
+   *
+   * The result contains the signed `content` and the `signers`.  Each signer
+   * has the IPFS `keyId` of its key and `inKeychain`, which is true when the
+   * key chain holds the key; its `name` is then also set.  The `contact`
+   * and its `trust` are set when the key is a contact.
+   *
+   * @param {Buffer} cmsData - The DER encoded message
+   * @param {Buffer} [content] - The content of a detached signature
+   * @param {function(Error, object)} callback
+   */
+  verifySignedData (cmsData, content, callback) {
+    const self = this
+    if (!Buffer.isBuffer(cmsData)) {
+      return callback(new Error('CMS data is required'))
+    }
+
+    let signed
+    let certificates
+    let signerInfos
+    try {
+      const obj = asn1.fromDer(forge.util.createBuffer(cmsData.toString('binary')))
+      if (asn1.derToOid(obj.value[0].value) !== oids.signedData) {
+        throw new Error('not a SignedData message')
+      }
+      const fields = obj.value[1].value[0].value
+      const encapsulated = fields[2]
+      if (encapsulated.value[1]) {
+        signed = octets(encapsulated.value[1].value[0])
+      } else if (Buffer.isBuffer(content)) {
+        signed = content.toString('binary')
+      } else {
+        throw new Error('the content of a detached signature is required')
+      }
+      certificates = fields
+        .filter((f) => f.tagClass === asn1.Class.CONTEXT_SPECIFIC && f.type === 0)
+        .map((f) => f.value.map((c) => forge.pki.certificateFromAsn1(c)))
+        .reduce((all, c) => all.concat(c), [])
+      signerInfos = fields[fields.length - 1].value
+    } catch (err) {
+      return callback(new Error('Invalid CMS: ' + err.message))
+    }
+    if (signerInfos.length === 0) {
+      return callback(new Error('CMS is not signed'))
+    }
+
+    async.mapSeries(signerInfos, (signerInfo, cb) => {
+      let certificate
+      try {
+        certificate = verifySigner(signerInfo, certificates, signed)
+      } catch (err) {
+        return cb(err)
+      }
+      util.keyId(certificate.publicKey, (err, kid) => {
+        if (err) return cb(err)
+
+        self.keystore.findKeyById(kid, (err, key) => {
+          if (err) return cb(err)
 
-          // create a p7 enveloped message
-          const p7 = forge.pkcs7.createEnvelopedData()
-          p7.addRecipient(certificate)
-          p7.content = forge.util.createBuffer(plain)
-          p7.encrypt()
+          self.keystore.findContactById(kid, (err, contact) => {
+            if (err) return cb(err)
 
-          // convert message to DER
-          const der = forge.asn1.toDer(p7.toAsn1()).getBytes()
-          callback(null, Buffer.from(der, 'binary'))
+            const signer = { keyId: kid, inKeychain: Boolean(key) }
+            if (key) signer.name = key.name
+            if (contact) {
+              signer.contact = contact.name
+              signer.trust = contact.trust
+            }
+            cb(null, signer)
+          })
         })
+      })
+    }, (err, signers) => {
+      if (err) return callback(err)
+
+      callback(null, {
+        content: Buffer.from(signed, 'binary'),
+        signers: signers
+      })
+    })
+  }
+
+  /**
+   * Gets the certificate of a recipient; a contact or a key in the key chain.
+   *
+   * @param {string} name - The name of the contact or key
+   * @param {function(Error, forge.pki.Certificate)} callback
+   */
+  _certificateForRecipient (name, callback) {
+    const self = this
+    self.keystore._findContact(name, (err, contact) => {
+      if (err) return callback(err)
+      if (!contact) return self._certificateForKey(name, 'encrypt', callback)
+
+      let publicKey
+      try {
+        publicKey = util.publicKeyFrom(Buffer.from(contact.publicKey, 'base64'))
       } catch (err) {
-        callback(err)
+        return callback(new Error(`Contact '${name}' cannot be a recipient. ${err.message}`))
       }
+      util.certificateForPublicKey(publicKey, callback)
+    })
+  }
+
+  /**
+   * Gets the certificate for a key in the key chain.
+   *
+   * The key's policy must allow the operation.  A currently valid
+   * certificate of the key in the key chain, such as one issued by a
+   * certificate authority, is preferred.  Otherwise the self-signed
+   * certificate's key usage and validity reflect the policy.
+   *
+   * @param {string} name
+   * @param {string} operation - 'encrypt' or 'sign'
+   * @param {function(Error, forge.pki.Certificate, object)} callback - The
+   *   certificate and private key
+   */
+  _certificateForKey (name, operation, callback) {
+    const self = this
+    self.keystore._checkPolicy(name, operation, (err, info) => {
+      if (err) return callback(err)
+
+      self.keystore._getPrivateKey(name, (err, key) => {
+        if (err) {
+          return callback(err)
+        }
+
+        self.keystore._decryptPrivateKey(key, (err, privateKey) => {
+          if (err) return callback(err)
+
+          self.keystore._certificates((err, certificates) => {
+            if (err) return callback(err)
+
+            const now = new Date()
+            const issued = certificates.find((c) => c.keyId === info.id &&
+              c.validity.notBefore <= now && now <= c.validity.notAfter)
+            if (issued) return callback(null, issued, privateKey)
+
+            util.certificateForKey(privateKey, info.policy, (err, certificate) => {
+              callback(err, certificate, privateKey)
+            })
+          })
+        })
+      })
     })
   }
 
-  readData (cmsData, callback) {
+  /**
+   * Reads an EnvelopedData or AuthEnvelopedData message.
+   *
+   * The message is decrypted with a key in the key chain or, when the
+   * message has a password recipient, with a password.  A password
+   * recipient can have at most ten times the PBKDF2 iterations of the DEK.
+   * A changed AuthEnvelopedData message fails with an
+   * 'ERR_AUTHENTICATION_FAILED' error.
+   *
+   * @param {Buffer} cmsData - The DER encoded message
+   * @param {object} [options]
+   * @param {string} [options.password] - The password of a password recipient
+   * @param {function(Error, Buffer)} callback - The plain data
+   */
+  readData (cmsData, options, callback) {
     if (!Buffer.isBuffer(cmsData)) {
       return callback(new Error('CMS data is required'))
     }
+    options = options || {}
 
     const self = this
-    let cms
+    let message
     try {
       const buf = forge.util.createBuffer(cmsData.toString('binary'));
       const obj = forge.asn1.fromDer(buf)
-      cms = forge.pkcs7.messageFromAsn1(obj)
+      message = readEnvelope(obj)
     } catch (err) {
       return callback(new Error('Invalid CMS: ' + err.message))
     }
+    if (!message) {
+      return callback(new Error('CMS is not EnvelopedData'))
+    }
+    const passwordRecipients = message.passwordRecipients
 
-    // Find a recipient whose key we hold. We only deal with recipient certs
-    // issued by ipfs (O=ipfs).
-    const recipients = cms.recipients
-      .filter(r => r.issuer.find(a => a.shortName === 'O' && a.value === 'ipfs'))
-      .filter(r => r.issuer.find(a => a.shortName === 'CN'))
-      .map(r => {
-        return {
-          recipient: r,
-          keyId: r.issuer.find(a => a.shortName === 'CN').value
-        }
-      })
+    if (options.password && passwordRecipients.length > 0) {
+      const maxIterationCount = maxIterationFactor * self.keystore.dek.iterationCount
+      let plain
+      try {
+        let error
+        const cek = passwordRecipients
+          .map((pwri) => {
+            try {
+              return readPasswordRecipient(pwri, options.password, maxIterationCount)
+            } catch (err) {
+              error = error || err
+            }
+          })
+          .find((cek) => cek)
+        if (!cek) throw error
+        plain = message.decrypt(cek)
+      } catch (err) {
+        return callback(err)
+      }
+      return async.setImmediate(() => callback(null, plain))
+    }
+
+    self.keystore._certificates((err, certificates) => {
+      if (err) return callback(err)
+
+      // Find a recipient whose key we hold
+      const recipients = message.recipients
+        .map(r => {
+          return {
+            recipient: r,
+            keyId: recipientKeyId(r, certificates)
+          }
+        })
+        .filter(r => r.keyId)
+      self._readWithKey(message, recipients, callback)
+    })
+  }
+
+  /**
+   * Reads a message with a key in the key chain, see readData.
+   *
+   * @param {object} message - See readEnvelope
+   * @param {object[]} recipients - The `recipient` and its `keyId`
+   * @param {function(Error, Buffer)} callback
+   */
+  _readWithKey (message, recipients, callback) {
+    const self = this
+    const passwordRecipients = message.passwordRecipients
     async.detect(
       recipients,
-      (r, cb) => self.keystore.findKeyById(r.keyId, (err, info) => cb(null, !err && info)),
+      (r, cb) => self.keystore.findKeyById(r.keyId, (err, info) => {
+        r.key = info
+        cb(null, !err && info)
+      }),
       (err, r) => {
         if (err) return callback(err)
+        if (!r && passwordRecipients.length > 0) {
+          return callback(new Error('No key found for decryption, a password is required'))
+        }
         if (!r) return callback(new Error('No key found for decryption'))
 
         async.waterfall([
-          (cb) => self.keystore.findKeyById(r.keyId, cb),
-          (key, cb) => self.keystore._getPrivateKey(key.name, cb)
+          (cb) => self.keystore._checkPolicy(r.key.name, 'decrypt', cb),
+          (info, cb) => self.keystore._getPrivateKey(r.key.name, cb)
         ], (err, pem) => {
           if (err) return callback(err);
 
-          const privateKey = forge.pki.decryptRsaPrivateKey(pem, self.keystore._())
-          cms.decrypt(r.recipient, privateKey)
-          async.setImmediate(() => callback(null, Buffer.from(cms.content.getBytes(), 'binary')))
+          const done = (err, plain) => {
+            const entry = { operation: 'decrypt', name: r.key.name, id: r.key.id }
+            self.keystore._audit(entry, err, (auditErr) => callback(err || auditErr, plain))
+          }
+          self.keystore._decryptPrivateKey(pem, (err, privateKey) => {
+            if (err) return done(err)
+
+            let plain
+            try {
+              const encryptedKey = r.recipient.encryptedContent
+              if (encryptedKey.algorithm !== oids.rsaEncryption) {
+                throw new Error(`Unsupported key encryption algorithm '${encryptedKey.algorithm}'`)
+              }
+              plain = message.decrypt(privateKey.decrypt(encryptedKey.content))
+            } catch (err) {
+              return done(err)
+            }
+            async.setImmediate(() => done(null, plain))
+          })
         })
       }
     )
@@ -94,4 +931,12 @@ class CMS {
 
 }
 
+// Return a Promise when the callback is omitted
+;[
+  'createAnonymousEncryptedData', 'createPublicKeyEncryptedData', 'createPasswordEncryptedData', 'readData',
+  'createSignedData', 'verifySignedData'
+].forEach((method) => {
+  CMS.prototype[method] = util.promisify(CMS.prototype[method])
+})
+
 module.exports = CMS
@@ -0,0 +1,241 @@
+'use strict'
+
+const forge = require('node-forge')
+const pki = forge.pki
+const libp2pCrypto = require('libp2p-crypto')
+const util = require('./util')
+const AesKey = require('./aes-key')
+
+const supportedKeys = libp2pCrypto.keys.supportedKeys
+
+exports = module.exports
+
+// The supported private key formats
+exports.formats = ['pkcs8', 'pkcs1', 'jwk', 'openssh']
+
+const publicKeyMessage = 'Cannot import a public key, a private key is required'
+
+/**
+ * Detects the format of a key.
+ *
+ * @param {string | Buffer | object} key
+ * @returns {string} one of `formats` or 'public'
+ */
+exports.detect = (key) => {
+  if (key && typeof key === 'object' && !Buffer.isBuffer(key)) return 'jwk'
+
+  const text = key.toString().trim()
+  if (text.startsWith('{')) return 'jwk'
+  if (/^(ssh-|ecdsa-sha2-)/.test(text)) return 'public'
+
+  const match = /-----BEGIN ([A-Z0-9 ]+)-----/.exec(text)
+  switch (match && match[1]) {
+    case 'ENCRYPTED PRIVATE KEY':
+    case 'PRIVATE KEY':
+      return 'pkcs8'
+    case 'RSA PRIVATE KEY':
+      return 'pkcs1'
+    case 'OPENSSH PRIVATE KEY':
+      return 'openssh'
+    case 'PUBLIC KEY':
+    case 'RSA PUBLIC KEY':
+    case 'SSH2 PUBLIC KEY':
+    case 'CERTIFICATE':
+      return 'public'
+    default:
+      throw new Error('Unknown key format')
+  }
+}
+
+/**
+ * Reads a private key.
+ *
+ * RSA keys are returned as forge keys, symmetric keys as AesKeys and all
+ * others as libp2p-crypto keys.
+ *
+ * @param {string | Buffer | object} key
+ * @param {string} [password] - Required for an encrypted key
+ * @param {string} [format] - One of `formats`, detected when not specified
+ * @param {function(Error, object)} callback
+ */
+exports.readPrivateKey = (key, password, format, callback) => {
+  try {
+    format = format || exports.detect(key)
+  } catch (err) {
+    return callback(err)
+  }
+
+  switch (format) {
+    case 'pkcs8':
+    case 'pkcs1':
+      return readPem(key.toString(), password, callback)
+    case 'jwk':
+      return readJwk(key, callback)
+    case 'openssh':
+      return readOpenSsh(key.toString(), callback)
+    case 'public':
+      return callback(new Error(publicKeyMessage))
+    default:
+      return callback(new Error(`Invalid key format '${format}'`))
+  }
+}
+
+/**
+ * Reads a PEM encoded PKCS #8 or PKCS #1 private key.
+ */
+function readPem (pem, password, callback) {
+  let msg
+  try {
+    msg = forge.pem.decode(pem)[0]
+  } catch (err) {
+    return callback(err)
+  }
+  if (!msg) {
+    return callback(new Error('Invalid PEM'))
+  }
+
+  if (msg.type === 'PRIVATE KEY') {
+    let info
+    try {
+      info = forge.asn1.fromDer(msg.body)
+    } catch (err) {
+      return callback(err)
+    }
+    return util.privateKeyFromPkcs8(info, callback)
+  }
+  if (msg.type !== 'ENCRYPTED PRIVATE KEY' && msg.type !== 'RSA PRIVATE KEY') {
+    return callback(new Error(publicKeyMessage))
+  }
+
+  util.decryptPrivateKey(pem, password, callback)
+}
+
+/**
+ * Reads a JSON Web Key, see RFC 7517 and RFC 8037.
+ */
+function readJwk (jwk, callback) {
+  try {
+    if (typeof jwk === 'string' || Buffer.isBuffer(jwk)) {
+      jwk = JSON.parse(jwk.toString())
+    }
+    if (!jwk.d && jwk.kty !== 'oct') {
+      throw new Error(publicKeyMessage)
+    }
+
+    const bytes = (name) => {
+      if (!jwk[name]) throw new Error(`JWK is missing the '${name}' parameter`)
+      return Buffer.from(jwk[name], 'base64')
+    }
+    const bigInteger = (name) => new forge.jsbn.BigInteger(bytes(name).toString('hex'), 16)
+
+    switch (jwk.kty) {
+      case 'RSA':
+        return callback(null, pki.setRsaPrivateKey(
+          bigInteger('n'), bigInteger('e'), bigInteger('d'),
+          bigInteger('p'), bigInteger('q'),
+          bigInteger('dp'), bigInteger('dq'), bigInteger('qi')))
+
+      case 'OKP':
+        if (jwk.crv !== 'Ed25519') throw new Error(`Unsupported JWK curve '${jwk.crv}'`)
+        return supportedKeys.ed25519.generateKeyPairFromSeed(bytes('d'), 256, callback)
+
+      case 'EC':
+        if (jwk.crv !== 'secp256k1') throw new Error(`Unsupported JWK curve '${jwk.crv}'`)
+        return callback(null, new supportedKeys.secp256k1.Secp256k1PrivateKey(bytes('d')))
+
+      case 'oct':
+        return callback(null, new AesKey(bytes('k')))
+
+      default:
+        throw new Error(`Unsupported JWK key type '${jwk.kty}'`)
+    }
+  } catch (err) {
+    callback(err)
+  }
+}
+
+/**
+ * Creates a reader of the SSH wire encoding, see RFC 4251.
+ */
+function sshReader (buf) {
+  let offset = 0
+  const reader = {
+    uint32: () => {
+      if (offset + 4 > buf.length) throw new Error('Invalid OpenSSH key')
+      const n = buf.readUInt32BE(offset)
+      offset += 4
+      return n
+    },
+    bytes: (length) => {
+      if (offset + length > buf.length) throw new Error('Invalid OpenSSH key')
+      const bytes = buf.slice(offset, offset + length)
+      offset += length
+      return bytes
+    },
+    string: () => reader.bytes(reader.uint32()),
+    mpint: () => new forge.jsbn.BigInteger(reader.string().toString('hex') || '00', 16)
+  }
+  return reader
+}
+
+/**
+ * Reads an OpenSSH private key.
+ *
+ * Only unencrypted RSA and Ed25519 keys are supported.  Use
+ * `ssh-keygen -p` to remove the pass phrase of a key.
+ *
+ * See https://github.com/openssh/openssh-portable/blob/master/PROTOCOL.key
+ */
+function readOpenSsh (pem, callback) {
+  try {
+    const msg = forge.pem.decode(pem)[0]
+    if (!msg) throw new Error('Invalid PEM')
+    const magic = 'openssh-key-v1\0'
+    const buf = Buffer.from(msg.body, 'binary')
+    if (buf.slice(0, magic.length).toString('binary') !== magic) {
+      throw new Error('Invalid OpenSSH key')
+    }
+
+    const outer = sshReader(buf.slice(magic.length))
+    const cipher = outer.string().toString()
+    outer.string() // kdfname
+    outer.string() // kdfoptions
+    if (cipher !== 'none') {
+      throw new Error('Encrypted OpenSSH keys are not supported, use `ssh-keygen -p` to remove the pass phrase')
+    }
+    if (outer.uint32() !== 1) {
+      throw new Error('Only one key in an OpenSSH key is supported')
+    }
+    outer.string() // public key
+
+    const reader = sshReader(outer.string())
+    if (reader.uint32() !== reader.uint32()) {
+      throw new Error('Invalid OpenSSH key')
+    }
+    const type = reader.string().toString()
+    switch (type) {
+      case 'ssh-rsa': {
+        const n = reader.mpint()
+        const e = reader.mpint()
+        const d = reader.mpint()
+        const qInv = reader.mpint()
+        const p = reader.mpint()
+        const q = reader.mpint()
+        const dP = d.mod(p.subtract(forge.jsbn.BigInteger.ONE))
+        const dQ = d.mod(q.subtract(forge.jsbn.BigInteger.ONE))
+        return callback(null, pki.setRsaPrivateKey(n, e, d, p, q, dP, dQ, qInv))
+      }
+
+      case 'ssh-ed25519': {
+        reader.string() // public key
+        const seed = reader.string().slice(0, 32)
+        return supportedKeys.ed25519.generateKeyPairFromSeed(seed, 256, callback)
+      }
+
+      default:
+        throw new Error(`Unsupported OpenSSH key type '${type}'`)
+    }
+  } catch (err) {
+    callback(err)
+  }
+}
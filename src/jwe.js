@@ -0,0 +1,150 @@
+'use strict'
+
+// Encrypted data in the JSON Web Encryption (JWE) flattened JSON
+// serialization, see RFC 7516.  The protected header names the `kid`
+// of the key that opens it and the `ver` of this envelope.
+
+const forge = require('node-forge')
+const util = require('./util')
+const AesKey = require('./aes-key')
+
+const base64url = util.base64url
+
+exports = module.exports
+
+// The version of the envelope
+exports.version = 1
+
+/**
+ * Gets the additional authenticated data of the content encryption.
+ */
+function authenticatedData (encodedHeader, aad) {
+  return Buffer.from(aad ? `${encodedHeader}.${aad}` : encodedHeader, 'ascii')
+}
+
+/**
+ * Gets the RSA-OAEP-256 options; SHA-256 and MGF1 with SHA-256.
+ */
+function oaepOptions () {
+  return {
+    md: forge.md.sha256.create(),
+    mgf1: { md: forge.md.sha256.create() }
+  }
+}
+
+/**
+ * Encrypts data with a key.
+ *
+ * An AES key encrypts the data directly ('dir').  An RSA key encrypts
+ * a random 256 bit content key with RSA-OAEP-256 and the content key
+ * encrypts the data.  The data is encrypted with AES-GCM.
+ *
+ * @param {AesKey | forge.pki.rsa.PrivateKey} key
+ * @param {string} kid - The key id
+ * @param {Buffer} plain
+ * @param {Buffer} [associatedData] - Authenticated, but not encrypted
+ * @returns {Buffer} the JSON encoded JWE
+ */
+exports.encrypt = (key, kid, plain, associatedData) => {
+  let contentKey = key
+  let encryptedKey
+  const header = { alg: 'dir', enc: null, kid: kid, ver: exports.version }
+  switch (util.keyType(key)) {
+    case 'aes':
+      break
+
+    case 'rsa': {
+      contentKey = new AesKey(Buffer.from(forge.random.getBytesSync(32), 'binary'))
+      const publicKey = forge.pki.setRsaPublicKey(key.n, key.e)
+      const cek = publicKey.encrypt(contentKey.key.toString('binary'), 'RSA-OAEP', oaepOptions())
+      encryptedKey = Buffer.from(cek, 'binary')
+      header.alg = 'RSA-OAEP-256'
+      break
+    }
+
+    default:
+      throw new Error('An RSA or AES key is required')
+  }
+  header.enc = `A${contentKey.size}GCM`
+
+  const encodedHeader = base64url(Buffer.from(JSON.stringify(header)))
+  const aad = associatedData ? base64url(associatedData) : undefined
+  const res = contentKey.encrypt(plain, authenticatedData(encodedHeader, aad))
+
+  const jwe = { protected: encodedHeader }
+  if (encryptedKey) jwe.encrypted_key = base64url(encryptedKey)
+  jwe.iv = base64url(res.iv)
+  jwe.ciphertext = base64url(res.cipherText)
+  jwe.tag = base64url(res.tag)
+  if (aad) jwe.aad = aad
+  return Buffer.from(JSON.stringify(jwe))
+}
+
+/**
+ * Reads the JWE and its protected header.
+ *
+ * @param {Buffer | string | object} data
+ * @returns {object} the `jwe` and its `header`
+ * @throws {Error} when the data is not a JWE or has an unknown version
+ */
+exports.parse = (data) => {
+  let parsed
+  try {
+    const jwe = Buffer.isBuffer(data) || typeof data === 'string'
+      ? JSON.parse(data.toString())
+      : data
+    const header = JSON.parse(Buffer.from(jwe.protected, 'base64').toString())
+    if (!header.kid || !jwe.iv || !jwe.ciphertext || !jwe.tag) {
+      throw new Error('missing a member')
+    }
+    if (Buffer.from(jwe.tag, 'base64').length !== 16) {
+      throw new Error('the tag must be 128 bits')
+    }
+    parsed = { jwe: jwe, header: header }
+  } catch (err) {
+    throw new Error(`Invalid encrypted data. ${err.message}`)
+  }
+
+  const version = parsed.header.ver
+  if (version !== exports.version) {
+    const err = new Error(`Unsupported encrypted data version '${version}'`)
+    err.code = 'ERR_UNKNOWN_VERSION'
+    throw err
+  }
+  return parsed
+}
+
+/**
+ * Decrypts data with a key.
+ *
+ * @param {AesKey | forge.pki.rsa.PrivateKey} key
+ * @param {object} parsed - See parse
+ * @param {Buffer} [associatedData] - Must match the data's associated data
+ * @returns {Buffer} the plain data
+ */
+exports.decrypt = (key, parsed, associatedData) => {
+  const jwe = parsed.jwe
+  const header = parsed.header
+  let contentKey
+  if (header.alg === 'dir' && util.keyType(key) === 'aes') {
+    contentKey = key
+  } else if (header.alg === 'RSA-OAEP-256' && util.keyType(key) === 'rsa' && jwe.encrypted_key) {
+    const cek = key.decrypt(
+      Buffer.from(jwe.encrypted_key, 'base64').toString('binary'), 'RSA-OAEP', oaepOptions())
+    contentKey = new AesKey(Buffer.from(cek, 'binary'))
+  } else {
+    throw new Error(`Unsupported key management '${header.alg}'`)
+  }
+  if (header.enc !== `A${contentKey.size}GCM`) {
+    throw new Error(`Unsupported encryption '${header.enc}'`)
+  }
+  if (associatedData && base64url(associatedData) !== jwe.aad) {
+    throw new Error('The associated data does not match')
+  }
+
+  return contentKey.decrypt(
+    Buffer.from(jwe.iv, 'base64'),
+    Buffer.from(jwe.ciphertext, 'base64'),
+    Buffer.from(jwe.tag, 'base64'),
+    authenticatedData(jwe.protected, jwe.aad))
+}
@@ -7,12 +7,31 @@ const deepmerge = require('deepmerge')
 const crypto = require('crypto')
 const libp2pCrypto = require('libp2p-crypto')
 const util = require('./util')
+const formats = require('./formats')
+const jwe = require('./jwe')
+const signature = require('./signature')
+const AesKey = require('./aes-key')
 const CMS = require('./cms')
+const Blocks = require('./blocks')
 const DS = require('interface-datastore')
 const pull = require('pull-stream')
+const PeerId = require('peer-id')
 
 const keyExtension = '.p8'
 
+// The DEK parameters and pass phrase verifier.  Key names cannot contain
+// a '/', so entries below the top level are reserved for the key chain.
+const dekInfoName = new DS.Key('/info/dek')
+
+// Marks that the key id index has been built, see IdName.
+const indexName = new DS.Key('/info/index')
+
+// The sequence number and hash of the last audit log entry, see AuditName.
+const auditHeadName = new DS.Key('/info/audit')
+
+// The failed pass phrase and password attempts, see _tryPassword.
+const failuresName = new DS.Key('/info/failures')
+
 // NIST SP 800-132
 const NIST = {
   minKeyLength: 112 / 8,
@@ -27,9 +46,23 @@ const defaultOptions = {
     iterationCount: 10000,
     salt: 'you should override this value with a crypto secure random number',
     hash: 'sha512'
+  },
+
+  // See _error and _tryPassword
+  bruteForce: {
+    minDelay: 200,
+    maxDelay: 1000,
+    maxFailures: 5,
+    lockoutPeriod: 5 * 60 * 1000
   }
 }
 
+// The codes of errors that do not indicate an attack
+const harmlessCodes = ['ERR_INVALID_PARAMETERS', 'ERR_KEY_ALREADY_EXISTS', 'ERR_CONTACT_ALREADY_EXISTS']
+
+// The trust levels of a contact, from the least trusted
+const trustLevels = ['unknown', 'marginal', 'full']
+
 function validateKeyName (name) {
   if (!name) return false
   
@@ -37,20 +70,181 @@ function validateKeyName (name) {
 }
 
 /**
- * Returns an error to the caller, after a delay
+ * Creates an error with a code.
+ *
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function codedError (message, code) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
+
+/**
+ * Creates the error for an invalid or missing parameter.
+ */
+function invalidParameter (message) {
+  return codedError(message, 'ERR_INVALID_PARAMETERS')
+}
+
+/**
+ * Creates the error for a key name that is already used.
+ */
+function keyExists (name) {
+  return codedError(`Key '${name}' already exists'`, 'ERR_KEY_ALREADY_EXISTS')
+}
+
+/**
+ * Creates the error for a contact name or key id that is already used.
+ */
+function contactExists (message) {
+  return codedError(message, 'ERR_CONTACT_ALREADY_EXISTS')
+}
+
+/**
+ * Creates the default delay strategy, see _error.
+ *
+ * An error waits a random time between `minDelay` and `maxDelay`
+ * milliseconds.  A wrong pass phrase or password waits twice as long for
+ * each consecutive failure, but never longer than `lockoutPeriod`.  An error
+ * that does not indicate an attack, such as an invalid parameter, does not
+ * wait.
+ *
+ * @param {object} options - The bruteForce options
+ * @returns {function(Error, number): number}
+ */
+function backoff (options) {
+  return (err, failures) => {
+    if (harmlessCodes.indexOf(err.code) >= 0) return 0
+
+    const delay = Math.random() * (options.maxDelay - options.minDelay) + options.minDelay
+    if (err.code !== 'ERR_INVALID_PASSWORD') return delay
+    return Math.min(delay * Math.pow(2, Math.max(failures - 1, 0)), options.lockoutPeriod)
+  }
+}
+
+/**
+ * Creates the derived encrypting key (DEK) from a pass phrase.
  *
- * This assumes than an error indicates that the keychain is under attack. Delay returning an
- * error to make brute force attacks harder.
+ * @param {string} passPhrase
+ * @param {object} dek - The DEK options; keyLength, iterationCount, salt and hash
+ * @returns {string} the hex encoded DEK
+ */
+function deriveDek (passPhrase, dek) {
+  const key = forge.pkcs5.pbkdf2(
+    passPhrase,
+    dek.salt,
+    dek.iterationCount,
+    dek.keyLength,
+    dek.hash)
+  return forge.util.bytesToHex(key)
+}
+
+/**
+ * Creates a value that proves knowledge of the DEK, without revealing it.
+ *
+ * @param {string} dek - The hex encoded DEK
+ * @returns {string}
+ */
+function dekVerifier (dek) {
+  return crypto.createHmac('sha256', dek).update('ipfs-keychain').digest('hex')
+}
+
+/**
+ * Encrypts the contents of a backup with a password.
+ *
+ * The archive is JSON with the PBKDF2 parameters and the AES-256-GCM
+ * encrypted contents; the GCM tag detects a damaged archive.
+ *
+ * @param {object} contents
+ * @param {string} password
+ * @param {number} iterationCount
+ * @returns {Buffer} the archive
+ */
+function sealBackup (contents, password, iterationCount) {
+  const kdf = {
+    salt: forge.random.getBytesSync(NIST.minSaltLength),
+    iterationCount: iterationCount,
+    hash: 'sha512'
+  }
+  const key = forge.pkcs5.pbkdf2(password, kdf.salt, kdf.iterationCount, 32, kdf.hash)
+  const iv = forge.random.getBytesSync(12)
+  const cipher = forge.cipher.createCipher('AES-GCM', key)
+  cipher.start({ iv: iv })
+  cipher.update(forge.util.createBuffer(forge.util.encodeUtf8(JSON.stringify(contents))))
+  cipher.finish()
+
+  const archive = {
+    version: 1,
+    kdf: Object.assign(kdf, { salt: forge.util.encode64(kdf.salt) }),
+    iv: forge.util.encode64(iv),
+    tag: forge.util.encode64(cipher.mode.tag.getBytes()),
+    data: forge.util.encode64(cipher.output.getBytes())
+  }
+  return Buffer.from(JSON.stringify(archive))
+}
+
+/**
+ * Decrypts the contents of a backup.
  *
- * @param {function(Error)} callback - The caller
- * @param {string | Error} err - The error
+ * @param {Buffer} archive
+ * @param {string} password
+ * @returns {object} the contents
+ * @throws {Error} when the archive is damaged or the password is wrong
+ */
+function openBackup (archive, password) {
+  let decipher
+  try {
+    archive = JSON.parse(archive.toString())
+    if (archive.version !== 1) throw new Error(`Unsupported version '${archive.version}'`)
+    const kdf = archive.kdf
+    const key = forge.pkcs5.pbkdf2(password, forge.util.decode64(kdf.salt), kdf.iterationCount, 32, kdf.hash)
+    decipher = forge.cipher.createDecipher('AES-GCM', key)
+    decipher.start({
+      iv: forge.util.decode64(archive.iv),
+      tag: forge.util.createBuffer(forge.util.decode64(archive.tag))
+    })
+    decipher.update(forge.util.createBuffer(forge.util.decode64(archive.data)))
+  } catch (err) {
+    throw new Error(`Invalid backup. ${err.message}`)
+  }
+  if (!decipher.finish()) {
+    throw codedError('Invalid backup or password', 'ERR_INVALID_PASSWORD')
+  }
+  return JSON.parse(forge.util.decodeUtf8(decipher.output.getBytes()))
+}
+
+/**
+ * Determines if a datastore entry is a key.
+ */
+function isKeyEntry (entry) {
+  return entry.key.isTopLevel()
+}
+
+/**
+ * Creates the error for an operation on a locked key chain.
+ */
+function lockedError () {
+  return codedError('Keychain is locked', 'ERR_KEYCHAIN_LOCKED')
+}
+
+/**
+ * Wraps a method so that the key chain is opened before it runs.
  */
-function _error(callback, err) {
-  const min = 200
-  const max = 1000
-  const delay = Math.random() * (max - min) + min
-  if (typeof err === 'string') err = new Error(err)
-  setTimeout(callback, delay, err, null)
+function whenOpen (fn) {
+  const wrapper = function () {
+    const args = Array.from(arguments)
+    const callback = args[args.length - 1]
+    this._open((err) => {
+      if (err) return this._error(callback, err)
+
+      fn.apply(this, args)
+    })
+  }
+  Object.defineProperty(wrapper, 'length', { value: fn.length })
+  return wrapper
 }
 
 /**
@@ -60,6 +254,279 @@ function DsName (name) {
   return new DS.Key('/' + name)
 }
 
+/**
+ * Converts a key id and name into a datastore name of the key id index.
+ *
+ * Different keys names can have the same key id; so the index
+ * is '/ids/<id>/<name>'.
+ */
+function IdName (id, name) {
+  return new DS.Key('/ids/' + id + '/' + name)
+}
+
+/**
+ * Converts a key name into the datastore name of its metadata.
+ */
+function MetaName (name) {
+  return new DS.Key('/meta/' + name)
+}
+
+/**
+ * Converts a certificate id into the datastore name of the certificate.
+ */
+function CertName (id) {
+  return new DS.Key('/certs/' + id)
+}
+
+/**
+ * Reads an X.509 certificate.
+ *
+ * @param {string | Buffer} certificate - PEM or DER encoded
+ * @returns {forge.pki.Certificate} with the `id`; the SHA-256 fingerprint
+ *   of the DER encoding
+ * @throws {Error} when the certificate cannot be read
+ */
+function readCertificate (certificate) {
+  let der
+  try {
+    if (Buffer.isBuffer(certificate) && certificate[0] === 0x30) {
+      der = certificate.toString('binary')
+    } else {
+      const msg = forge.pem.decode(certificate.toString())[0]
+      if (!msg || msg.type !== 'CERTIFICATE') throw new Error('not a PEM encoded certificate')
+      der = msg.body
+    }
+    const cert = forge.pki.certificateFromAsn1(forge.asn1.fromDer(der), true)
+    cert.id = forge.md.sha256.create().update(der).digest().toHex()
+    return cert
+  } catch (err) {
+    throw new Error(`Invalid certificate. ${err.message}`)
+  }
+}
+
+/**
+ * Converts a distinguished name into a string, such as 'CN=alice, O=ipfs'.
+ */
+function distinguishedName (name) {
+  return name.attributes.map((a) => `${a.shortName || a.name || a.type}=${a.value}`).join(', ')
+}
+
+/**
+ * Converts a contact name into a datastore name.
+ */
+function ContactName (name) {
+  return new DS.Key('/contacts/' + name)
+}
+
+/**
+ * Converts a stored contact into a ContactInfo.
+ */
+function contactInfo (contact) {
+  return {
+    name: contact.name,
+    id: contact.id,
+    type: contact.type,
+    source: contact.source,
+    trust: contact.trust,
+    added: new Date(contact.added)
+  }
+}
+
+/**
+ * Converts a stored contact into JSON, without its name.
+ */
+function contactJson (contact) {
+  const stored = Object.assign({}, contact)
+  delete stored.name
+  return JSON.stringify(stored)
+}
+
+/**
+ * Gets the type of a public key.
+ *
+ * @param {object} publicKey - A forge RSA public key or a libp2p-crypto public key
+ * @returns {string} 'rsa', 'ed25519' or 'secp256k1'
+ */
+function publicKeyType (publicKey) {
+  if (publicKey.n && publicKey.e) return 'rsa'
+  if (publicKey instanceof libp2pCrypto.keys.supportedKeys.ed25519.Ed25519PublicKey) return 'ed25519'
+  return 'secp256k1'
+}
+
+/**
+ * Converts a sequence number into the datastore name of an audit log entry.
+ *
+ * The number is zero padded, so that the names sort in sequence order.
+ */
+function AuditName (seq) {
+  return new DS.Key('/audit/' + ('000000000000' + seq).slice(-12))
+}
+
+/**
+ * Derives the key of the audit log hashes from the DEK.
+ *
+ * @param {string} dek - Hex encoded
+ * @returns {Buffer}
+ */
+function auditKey (dek) {
+  return crypto.createHmac('sha256', Buffer.from(dek, 'hex')).update('audit log').digest()
+}
+
+/**
+ * Computes the hash of an audit log entry.
+ *
+ * The hash covers every field and the hash of the previous entry; so
+ * changing, removing or reordering an entry breaks the chain.  It is an
+ * HMAC keyed from the DEK, so that someone who can write to the store
+ * cannot recompute the chain.
+ *
+ * @param {object} entry
+ * @param {Buffer} key - See auditKey
+ * @returns {string} the hex encoded HMAC-SHA256
+ */
+function auditHash (entry, key) {
+  const fields = [
+    entry.seq, entry.time, entry.operation, entry.name, entry.id,
+    entry.detail, entry.outcome, entry.error, entry.previous
+  ]
+  return crypto.createHmac('sha256', key).update(JSON.stringify(fields)).digest('hex')
+}
+
+/**
+ * Finds the first problem of an audit log.
+ *
+ * @param {object[]} entries - In sequence order
+ * @param {object} head - The `seq` and `hash` of the last entry; null when none
+ * @param {Buffer} key - See auditKey
+ * @returns {object} the `seq` of the first bad entry and a `reason`; null
+ *   when the log is valid
+ */
+function auditProblem (entries, head, key) {
+  let previous = null
+  for (let i = 0; i < entries.length; ++i) {
+    const entry = entries[i]
+    if (entry.seq !== i + 1) return { seq: i + 1, reason: 'Entry is missing' }
+    if (entry.previous !== previous) return { seq: entry.seq, reason: 'Entry is not chained to the previous entry' }
+    if (entry.hash !== auditHash(entry, key)) return { seq: entry.seq, reason: 'Entry has been changed' }
+    previous = entry.hash
+  }
+  const last = entries.length
+  if (last > 0 || head) {
+    if (!head || head.seq !== last || head.hash !== previous) {
+      return { seq: last + 1, reason: 'Entries have been removed' }
+    }
+  }
+  return null
+}
+
+/**
+ * Wraps a method so that its outcome is recorded in the audit log.
+ *
+ * @param {string} operation
+ * @param {function} fn
+ * @param {function(Array): string} [keyName] - Gets the key name from the arguments
+ * @param {function(Array): string} [detail] - Gets more detail from the arguments
+ */
+function audited (operation, fn, keyName, detail) {
+  const wrapper = function () {
+    const self = this
+    const args = Array.from(arguments)
+    const callback = args.pop()
+    const name = keyName ? keyName(args) : null
+    self._auditKeyId(name, (before) => {
+      fn.apply(self, args.concat((err, res) => {
+        const entry = {
+          operation: operation,
+          name: name,
+          id: res && typeof res.id === 'string' ? res.id : before,
+          detail: detail ? detail(args) : null
+        }
+        self._audit(entry, err, (auditErr) => callback(err || auditErr, res))
+      }))
+    })
+  }
+  Object.defineProperty(wrapper, 'length', { value: fn.length })
+  return wrapper
+}
+
+// The operations that a key policy can allow
+const keyOperations = ['encrypt', 'decrypt', 'sign', 'export']
+
+/**
+ * Creates a key policy.
+ *
+ * By default, a key can be used for every operation, never expires and
+ * can be exported.
+ *
+ * @param {object} [policy]
+ * @param {string[]} [policy.operations] - The allowed operations
+ * @param {Date | string} [policy.notAfter] - When the key expires
+ * @param {boolean} [policy.exportable] - Whether the key can be exported
+ * @returns {object}
+ * @throws {Error} when the policy is invalid
+ */
+function createPolicy (policy) {
+  policy = policy || {}
+  const operations = policy.operations || keyOperations
+  if (!Array.isArray(operations) || !operations.every((op) => keyOperations.indexOf(op) >= 0)) {
+    throw new Error(`Policy operations must be some of ${keyOperations.join(', ')}`)
+  }
+  const notAfter = policy.notAfter ? new Date(policy.notAfter) : null
+  if (notAfter && isNaN(notAfter.getTime())) {
+    throw new Error(`Invalid policy notAfter '${policy.notAfter}'`)
+  }
+
+  return {
+    operations: operations.slice(),
+    notAfter: notAfter,
+    exportable: policy.exportable !== false
+  }
+}
+
+/**
+ * Determines if a key's policy allows an operation.
+ *
+ * @param {KeyInfo} info
+ * @param {string} operation - One of keyOperations
+ * @returns {string} the reason the operation is not allowed, or null
+ */
+function policyViolation (info, operation) {
+  const policy = info.policy
+  if (policy.notAfter && new Date() > policy.notAfter) {
+    return `Key '${info.name}' expired on ${policy.notAfter.toISOString()}`
+  }
+  if (policy.operations.indexOf(operation) < 0 || (operation === 'export' && !policy.exportable)) {
+    return `Key '${info.name}' cannot be used to ${operation}`
+  }
+  return null
+}
+
+/**
+ * Converts stored metadata into a KeyInfo.
+ */
+function keyInfo (name, meta) {
+  return {
+    name: name,
+    id: meta.id,
+    type: meta.type,
+    size: meta.size,
+    created: meta.created ? new Date(meta.created) : null,
+    rotated: meta.rotated ? new Date(meta.rotated) : null,
+    origin: meta.origin,
+    labels: meta.labels || [],
+    policy: createPolicy(meta.policy)
+  }
+}
+
+/**
+ * Converts a KeyInfo into stored metadata.
+ */
+function metaJson (info) {
+  const meta = Object.assign({}, info)
+  delete meta.name
+  return JSON.stringify(meta)
+}
+
 /**
  * Converts a datastore name into a key name.
  */
@@ -94,217 +561,2112 @@ class Keychain {
     }
     this.dek = opts.dek
 
-    // Create the derived encrypting key
-    let dek = forge.pkcs5.pbkdf2(
-      opts.passPhrase,
-      opts.dek.salt,
-      opts.dek.iterationCount,
-      opts.dek.keyLength,
-      opts.dek.hash)
-    dek = forge.util.bytesToHex(dek)
-    Object.defineProperty(this, '_', { value: () => dek })
+    if (opts.autoLock !== undefined && !(opts.autoLock >= 0)) {
+      throw new Error('autoLock must be a number of minutes')
+    }
+    this.autoLock = opts.autoLock || 0
+
+    const bruteForce = opts.bruteForce
+    if (bruteForce.delay !== undefined && typeof bruteForce.delay !== 'function') {
+      throw new Error('bruteForce.delay must be a function')
+    }
+    if (!(bruteForce.maxFailures >= 1)) {
+      throw new Error('bruteForce.maxFailures must be at least 1')
+    }
+    if (!(bruteForce.lockoutPeriod >= 0)) {
+      throw new Error('bruteForce.lockoutPeriod must be a number of milliseconds')
+    }
+    this.bruteForce = bruteForce
+    Object.defineProperty(this, '_delay', { value: bruteForce.delay || backoff(bruteForce) })
+
+    // The derived encrypting key is created when the key chain is first used,
+    // see _loadDek.
+    this._setOpener(opts.passPhrase)
+
+    // Audit log entries are appended one at a time, see _audit.  A task
+    // can also be a function that must not interleave with the appends.
+    Object.defineProperty(this, '_auditQueue', {
+      value: async.queue((task, cb) => typeof task === 'function' ? task(cb) : this._appendAudit(task, cb), 1)
+    })
 
     // JS magick
     this._getKeyInfo = this.findKeyByName = this._getKeyInfo.bind(this)
 
     // Provide access to protected messages
     this.cms = new CMS(this)
+    this.blocks = new Blocks(this)
   }
 
   static get options() {
     return defaultOptions
   }
 
-  createKey (name, type, size, callback) {
+  /**
+   * Creates a new key.
+   *
+   * @param {string} name
+   * @param {string} type - 'rsa', 'ed25519', 'secp256k1' or 'aes'
+   * @param {number} size - The key size in bits
+   * @param {object} [options]
+   * @param {object} [options.policy] - The `operations`, `notAfter` and `exportable` of the key
+   * @param {function(Error, KeyInfo)} callback
+   */
+  createKey (name, type, size, options, callback) {
     const self = this
 
     if (!validateKeyName(name) || name === 'self') {
-      return _error(callback, `Invalid key name '${name}'`)
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
+    }
+    let policy
+    try {
+      policy = createPolicy((options || {}).policy)
+    } catch (err) {
+      return self._error(callback, err)
     }
     const dsname = DsName(name)
     self.store.has(dsname, (err, exists) => {
-      if (exists) return _error(callback, `Key '${name}' already exists'`)
+      if (exists) return self._error(callback, keyExists(name))
 
-      switch (type.toLowerCase()) {
+      const store = (err, privateKey) => {
+        if (err) return self._error(callback, err)
+
+        self._storeKey(name, privateKey, 'generated', policy, callback)
+      }
+
+      switch ((type || '').toLowerCase()) {
         case 'rsa':
           if (size < 2048) {
-            return _error(callback, `Invalid RSA key size ${size}`)
+            return self._error(callback, invalidParameter(`Invalid RSA key size ${size}`))
           }
           forge.pki.rsa.generateKeyPair({bits: size, workers: -1}, (err, keypair) => {
-            if (err) return _error(callback, err)
+            store(err, keypair && keypair.privateKey)
+          })
+          break;
 
-            const pem = forge.pki.encryptRsaPrivateKey(keypair.privateKey, this._());
-            return self.store.put(dsname, pem, (err) => {
-              if (err) return _error(callback, err)
+        case 'ed25519':
+        case 'secp256k1':
+          libp2pCrypto.keys.generateKeyPair(type, size, store)
+          break;
 
-              self._getKeyInfo(name, callback)
-            })
-          })
+        case 'aes':
+          AesKey.generate(size, store)
           break;
 
         default:
-          return _error(callback, `Invalid key type '${type}'`)
+          return self._error(callback, invalidParameter(`Invalid key type '${type}'`))
       }
     })
   }
 
-  listKeys (callback) {
+  /**
+   * Lists the keys.
+   *
+   * @param {object} [filter] - Only keys with the `type` and/or `label`
+   * @param {function(Error, KeyInfo[])} callback
+   */
+  listKeys (filter, callback) {
     const self = this
     const query = {
       keysOnly: true
     }
+    filter = filter || {}
     pull(
       self.store.query(query),
       pull.collect((err, res) => {
-        if (err) return _error(callback, err)
+        if (err) return self._error(callback, err)
+
+        const names = res.filter(isKeyEntry).map(r => KsName(r.key))
+        async.map(names, self._getKeyInfo, (err, keys) => {
+          if (err) return callback(err)
 
-        const names = res.map(r => KsName(r.key))
-        async.map(names, self._getKeyInfo, callback)
+          if (filter.type) {
+            keys = keys.filter((k) => k.type === filter.type.toLowerCase())
+          }
+          if (filter.label) {
+            keys = keys.filter((k) => k.labels.indexOf(filter.label) >= 0)
+          }
+          callback(null, keys)
+        })
       })
     )
   }
 
-  // TODO: not very efficent.
+  /**
+   * Sets the labels of a key.
+   *
+   * @param {string} name
+   * @param {string[]} labels - Replaces the existing labels
+   * @param {function(Error, KeyInfo)} callback
+   */
+  setLabels (name, labels, callback) {
+    const self = this
+    if (!Array.isArray(labels) || !labels.every((l) => typeof l === 'string')) {
+      return self._error(callback, invalidParameter('Labels must be an array of strings'))
+    }
+
+    self._getKeyInfo(name, (err) => {
+      if (err) return callback(err)
+
+      self._updateMeta(name, { labels: labels }, callback)
+    })
+  }
+
   findKeyById (id, callback) {
-    this.listKeys((err, keys) => {
-      if (err) return _error(callback, err)
+    const self = this
+    self._lookupKeyId(id, (err, key, stale) => {
+      if (err) return self._error(callback, err)
+      if (key) return callback(null, key)
+
+      self.store.has(indexName, (err, indexed) => {
+        if (err) return self._error(callback, err)
+        if (indexed && !stale) return callback(null, key)
 
-      const key = keys.find((k) => k.id === id)
-      callback(null, key)
+        self._buildIndex((err) => {
+          if (err) return self._error(callback, err)
+
+          self._lookupKeyId(id, (err, key) => {
+            if (err) return self._error(callback, err)
+            callback(null, key)
+          })
+        })
+      })
     })
   }
 
   removeKey (name, callback) {
     const self = this
     if (!validateKeyName(name) || name === 'self') {
-      return _error(callback, `Invalid key name '${name}'`)
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
     }
     const dsname = DsName(name)
     self.store.has(dsname, (err, exists) => {
-      if (!exists) return _error(callback, `Key '${name}' does not exist'`)
+      if (!exists) return self._error(callback, `Key '${name}' does not exist'`)
 
-      self.store.delete(dsname, callback)
+      self._getKeyInfo(name, (err, info) => {
+        if (err) return self._error(callback, err)
+
+        const idName = IdName(info.id, name)
+        self.store.has(idName, (err, indexed) => {
+          if (err) return self._error(callback, err)
+
+          const batch = self.store.batch()
+          batch.delete(dsname)
+          batch.delete(MetaName(name))
+          if (indexed) batch.delete(idName)
+          batch.commit(callback)
+        })
+      })
     })
   }
 
   renameKey(oldName, newName, callback) {
     const self = this
     if (!validateKeyName(oldName) || oldName === 'self') {
-      return _error(callback, `Invalid old key name '${oldName}'`)
+      return self._error(callback, invalidParameter(`Invalid old key name '${oldName}'`))
     }
     if (!validateKeyName(newName) || newName === 'self') {
-      return _error(callback, `Invalid new key name '${newName}'`)
+      return self._error(callback, invalidParameter(`Invalid new key name '${newName}'`))
     }
     const oldDsname = DsName(oldName)
     const newDsname = DsName(newName)
     this.store.get(oldDsname, (err, res) => {
       if (err) {
-        return _error(callback, `Key '${oldName}' does not exist. ${err.message}`)
+        return self._error(callback, `Key '${oldName}' does not exist. ${err.message}`)
       }
       const pem = res.toString()
       self.store.has(newDsname, (err, exists) => {
-        if (exists) return _error(callback, `Key '${newName}' already exists'`)
+        if (exists) return self._error(callback, keyExists(newName))
 
-        const batch = self.store.batch()
-        batch.put(newDsname, pem)
-        batch.delete(oldDsname)
-        batch.commit((err) => {
-          if (err) return _error(callback, err)
-          self._getKeyInfo(newName, callback)
+        self._getKeyInfo(oldName, (err, info) => {
+          if (err) return self._error(callback, err)
+
+          const oldIdName = IdName(info.id, oldName)
+          self.store.has(oldIdName, (err, indexed) => {
+            if (err) return self._error(callback, err)
+
+            const batch = self.store.batch()
+            batch.put(newDsname, pem)
+            batch.put(MetaName(newName), metaJson(info))
+            batch.put(IdName(info.id, newName), newName)
+            batch.delete(oldDsname)
+            batch.delete(MetaName(oldName))
+            if (indexed) batch.delete(oldIdName)
+            batch.commit((err) => {
+              if (err) return self._error(callback, err)
+              self._getKeyInfo(newName, callback)
+            })
+          })
         })
       })
     })
   }
 
-  exportKey (name, password, callback) {
-    if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
-    }
-    if (!password) {
-      return _error(callback, 'Password is required')
+  /**
+   * Locks the key chain.
+   *
+   * The DEK is overwritten and forgotten.  Until `unlock` is called, every
+   * operation fails with an error whose `code` is 'ERR_KEYCHAIN_LOCKED'.
+   *
+   * @param {function(Error)} callback
+   */
+  lock (callback) {
+    clearTimeout(this._idleTimer)
+    if (this._wipeDek) this._wipeDek()
+    Object.defineProperty(this, '_open', {
+      configurable: true,
+      value: (callback) => callback(lockedError())
+    })
+    callback()
+  }
+
+  /**
+   * Unlocks the key chain.
+   *
+   * The DEK is derived from the pass phrase again.  When the pass phrase is
+   * wrong, the key chain stays locked.
+   *
+   * @param {string} passPhrase
+   * @param {function(Error)} callback
+   */
+  unlock (passPhrase, callback) {
+    const self = this
+    if (!passPhrase) {
+      return self._error(callback, invalidParameter('Pass phrase is required'))
     }
 
-    const dsname = DsName(name)
-    this.store.get(dsname, (err, res) => {
+    self._setOpener(passPhrase)
+    self._open((err) => {
       if (err) {
-        return _error(callback, `Key '${name}' does not exist. ${err.message}`)
-      }
-      const pem = res.toString()
-      try {
-        const options = {
-          algorithm: 'aes256',
-          count: this.dek.iterationCount,
-          saltSize: NIST.minSaltLength,
-          prfAlgorithm: 'sha512'
-        }
-        const privateKey = forge.pki.decryptRsaPrivateKey(pem, this._())
-        const res = forge.pki.encryptRsaPrivateKey(privateKey, password, options)
-        return callback(null, res)
-      } catch (e) {
-        _error(callback, e)
+        return self.lock(() => self._error(callback, err))
       }
+      callback()
     })
   }
 
-  importKey(name, pem, password, callback) {
+  /**
+   * Changes the pass phrase of the key chain.
+   *
+   * Every key is re-encrypted with the new DEK and written in one batch.  If
+   * any key cannot be re-encrypted, then the store is not changed.
+   *
+   * @param {string} oldPassPhrase - The current pass phrase
+   * @param {string} newPassPhrase - The new pass phrase
+   * @param {function(Error)} callback
+   */
+  changePassPhrase (oldPassPhrase, newPassPhrase, callback) {
     const self = this
-    if (!validateKeyName(name) || name === 'self') {
-      return _error(callback, `Invalid key name '${name}'`)
+    if (!newPassPhrase || newPassPhrase.length < 20) {
+      return self._error(callback, invalidParameter('passPhrase must be least 20 characters'))
     }
-    if (!pem) {
-      return _error(callback, 'PEM encoded key is required')
+    let oldDek
+    let newDek
+    try {
+      oldDek = deriveDek(oldPassPhrase || '', self.dek)
+      newDek = deriveDek(newPassPhrase, self.dek)
+    } catch (err) {
+      return self._error(callback, err)
     }
-    const dsname = DsName(name)
-    self.store.has(dsname, (err, exists) => {
-      if (exists) return _error(callback, `Key '${name}' already exists'`)
+    const checkPassPhrase = (cb) => {
+      let dek
       try {
-        const privateKey = forge.pki.decryptRsaPrivateKey(pem, password)
-        if (privateKey === null) {
-          return _error(callback, 'Cannot read the key, most likely the password is wrong')
-        }
-        const newpem = forge.pki.encryptRsaPrivateKey(privateKey, this._());
-        return self.store.put(dsname, newpem, (err) => {
-        if (err) return _error(callback, err)
-
-          this._getKeyInfo(name, callback)
+        dek = self._()
+      } catch (err) {
+        return cb(err)
+      }
+      if (oldDek !== dek) {
+        return cb(codedError('Invalid pass phrase', 'ERR_INVALID_PASSWORD'))
+      }
+      cb()
+    }
+
+    self._tryPassword(checkPassPhrase, (err) => {
+      if (err) return self._error(callback, err)
+
+      self._rotateDek(oldDek, newDek, callback)
+    })
+  }
+
+  /**
+   * Re-encrypts every key with a new DEK.
+   *
+   * The audit log is chained again with the key of the new DEK, when it is
+   * valid; a changed log stays invalid.
+   *
+   * @param {string} oldDek
+   * @param {string} newDek
+   * @param {function(Error)} callback
+   */
+  _rotateDek (oldDek, newDek, callback) {
+    const self = this
+    pull(
+      self.store.query({}),
+      pull.collect((err, res) => {
+        if (err) return self._error(callback, err)
+
+        async.map(res.filter(isKeyEntry), (entry, cb) => {
+          util.decryptPrivateKey(entry.value.toString(), oldDek, (err, privateKey) => {
+            if (err) return cb(new Error(`Cannot decrypt key '${KsName(entry.key)}'. ${err.message}`))
+
+            try {
+              cb(null, { key: entry.key, pem: util.encryptPrivateKey(privateKey, newDek) })
+            } catch (err) {
+              cb(err)
+            }
+          })
+        }, (err, entries) => {
+          if (err) return self._error(callback, err)
+
+          const dekInfo = Object.assign({}, self.dek, { verifier: dekVerifier(newDek) })
+          const rotated = new Date()
+          const batch = self.store.batch()
+          entries.forEach((e) => batch.put(e.key, e.pem))
+          res
+            .filter((r) => r.key.parent().toString() === '/meta')
+            .forEach((r) => {
+              const meta = JSON.parse(r.value.toString())
+              meta.rotated = rotated
+              batch.put(r.key, JSON.stringify(meta))
+            })
+          batch.put(dekInfoName, JSON.stringify(dekInfo))
+          self._auditQueue.push((cb) => self._rechainAudit(oldDek, newDek, batch, (err) => {
+            if (err) return cb(err)
+
+            batch.commit((err) => {
+              if (err) return cb(err)
+
+              self._setDek(newDek)
+              cb()
+            })
+          }), (err) => {
+            if (err) return self._error(callback, err)
+            callback()
+          })
+        })
+      })
+    )
+  }
+
+  /**
+   * Creates a password protected backup of every key, with its name and
+   * metadata.  A key whose policy does not allow export is not included.
+   *
+   * @param {string} password
+   * @param {function(Error, Buffer)} callback - The archive
+   */
+  backup (password, callback) {
+    const self = this
+    if (!password) {
+      return self._error(callback, invalidParameter('Password is required'))
+    }
+
+    pull(
+      self.store.query({}),
+      pull.collect((err, res) => {
+        if (err) return self._error(callback, err)
+
+        async.mapSeries(res.filter(isKeyEntry), (entry, cb) => {
+          const name = KsName(entry.key)
+          self._getKeyInfo(name, (err, info) => {
+            if (err) return cb(err)
+            if (!info.policy.exportable || info.policy.operations.indexOf('export') < 0) {
+              return cb()
+            }
+
+            self._decryptPrivateKey(entry.value.toString(), (err, privateKey) => {
+              if (err && err.code === 'ERR_KEYCHAIN_LOCKED') return cb(err)
+              if (err) return cb(new Error(`Cannot decrypt key '${name}'. ${err.message}`))
+
+              try {
+                const der = forge.asn1.toDer(util.privateKeyToPkcs8(privateKey)).getBytes()
+                cb(null, {
+                  name: name,
+                  meta: JSON.parse(metaJson(info)),
+                  key: forge.util.encode64(der)
+                })
+              } catch (err) {
+                cb(err)
+              }
+            })
+          })
+        }, (err, keys) => {
+          if (err) return self._error(callback, err)
+
+          try {
+            const contents = { created: new Date(), keys: keys.filter(Boolean) }
+            callback(null, sealBackup(contents, password, self.dek.iterationCount))
+          } catch (err) {
+            self._error(callback, err)
+          }
+        })
+      })
+    )
+  }
+
+  /**
+   * Restores the keys in a backup.
+   *
+   * `options.onConflict` determines what happens when a key name
+   * already exists
+   * - 'skip', the key is not restored; the default
+   * - 'rename', the key is restored with a new name
+   * - 'overwrite', the existing key is replaced
+   *
+   * Every key in the archive is checked before the store is changed, so a
+   * damaged archive restores nothing.
+   *
+   * @param {Buffer} archive
+   * @param {string} password
+   * @param {object} [options]
+   * @param {string} [options.onConflict]
+   * @param {function(Error, KeyInfo[])} callback - The restored keys
+   */
+  restore (archive, password, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(archive)) {
+      return self._error(callback, invalidParameter('Archive is required'))
+    }
+    if (!password) {
+      return self._error(callback, invalidParameter('Password is required'))
+    }
+    options = options || {}
+    const onConflict = options.onConflict || 'skip'
+    if (['skip', 'rename', 'overwrite'].indexOf(onConflict) < 0) {
+      return self._error(callback, invalidParameter(`Invalid conflict option '${onConflict}'`))
+    }
+
+    let contents
+    const open = (cb) => {
+      try {
+        contents = openBackup(archive, password)
+      } catch (err) {
+        return cb(err)
+      }
+      cb()
+    }
+
+    self._tryPassword(open, (err) => {
+      if (err) return self._error(callback, err)
+
+      self._restoreKeys(contents, onConflict, callback)
+    })
+  }
+
+  /**
+   * Restores the keys of a backup, see restore.
+   *
+   * @param {object} contents - The contents of the archive
+   * @param {string} onConflict
+   * @param {function(Error, KeyInfo[])} callback
+   */
+  _restoreKeys (contents, onConflict, callback) {
+    const self = this
+    const names = []
+    async.mapSeries(contents.keys, (entry, cb) => {
+      if (!validateKeyName(entry.name)) {
+        return cb(new Error(`Invalid key name '${entry.name}'`))
+      }
+      let info
+      try {
+        info = forge.asn1.fromDer(forge.util.decode64(entry.key))
+      } catch (err) {
+        return cb(new Error(`Invalid key '${entry.name}'. ${err.message}`))
+      }
+      util.privateKeyFromPkcs8(info, (err, privateKey) => {
+        if (err) return cb(new Error(`Invalid key '${entry.name}'. ${err.message}`))
+
+        util.keyId(privateKey, (err, kid) => {
+          if (err) return cb(err)
+          if (kid !== entry.meta.id) {
+            return cb(new Error(`Invalid key '${entry.name}'. Its key id does not match`))
+          }
+
+          self._restoreName(entry.name, onConflict, names, (err, name, existing) => {
+            if (err) return cb(err)
+            if (!name) return cb()
+
+            names.push(name)
+            try {
+              cb(null, {
+                name: name,
+                pem: util.encryptPrivateKey(privateKey, self._()),
+                meta: entry.meta,
+                existing: existing
+              })
+            } catch (err) {
+              cb(err)
+            }
+          })
+        })
+      })
+    }, (err, keys) => {
+      if (err) return self._error(callback, err)
+
+      keys = keys.filter(Boolean)
+      const batch = self.store.batch()
+      keys.forEach((k) => {
+        batch.put(DsName(k.name), k.pem)
+        batch.put(MetaName(k.name), JSON.stringify(k.meta))
+        batch.put(IdName(k.meta.id, k.name), k.name)
+        if (k.existing && k.existing.id !== k.meta.id) {
+          batch.delete(IdName(k.existing.id, k.name))
+        }
+      })
+      batch.commit((err) => {
+        if (err) return self._error(callback, err)
+
+        async.mapSeries(keys.map((k) => k.name), self._getKeyInfo, callback)
+      })
+    })
+  }
+
+  /**
+   * Gets the entries of the audit log, in the order they were recorded.
+   *
+   * An entry has the `seq`, `time`, `operation`, key `name` and `id`,
+   * `detail`, `outcome` ('success' or 'failure') and `error` of an
+   * operation; and its `hash` and the `previous` hash.
+   *
+   * @param {object} [filter] - Only entries with the `name` and/or `operation`
+   * @param {function(Error, object[])} callback
+   */
+  auditLog (filter, callback) {
+    const self = this
+    filter = filter || {}
+    self._readAudit((err, entries) => {
+      if (err) return self._error(callback, err)
+
+      if (filter.name) {
+        entries = entries.filter((e) => e.name === filter.name)
+      }
+      if (filter.operation) {
+        entries = entries.filter((e) => e.operation === filter.operation)
+      }
+      callback(null, entries.map((e) => Object.assign({}, e, { time: new Date(e.time) })))
+    })
+  }
+
+  /**
+   * Verifies that the audit log has not been changed.
+   *
+   * The result has `valid` and the number of `entries`.  When the log is
+   * not valid, the `seq` of the first bad entry and a `reason` are also set.
+   *
+   * @param {function(Error, object)} callback
+   */
+  verifyAuditLog (callback) {
+    const self = this
+    self._readAudit((err, entries) => {
+      if (err) return self._error(callback, err)
+
+      self.store.get(auditHeadName, (err, res) => {
+        const head = err ? null : JSON.parse(res.toString())
+        const problem = auditProblem(entries, head, self._auditKey)
+        if (problem) {
+          return callback(null, {
+            valid: false, entries: entries.length, seq: problem.seq, reason: problem.reason
+          })
+        }
+        callback(null, { valid: true, entries: entries.length })
+      })
+    })
+  }
+
+  exportKey (name, password, callback) {
+    if (!validateKeyName(name)) {
+      return this._error(callback, invalidParameter(`Invalid key name '${name}'`))
+    }
+    if (!password) {
+      return this._error(callback, invalidParameter('Password is required'))
+    }
+
+    this._checkPolicy(name, 'export', (err) => {
+      if (err) return callback(err)
+
+      const dsname = DsName(name)
+      this.store.get(dsname, (err, res) => {
+        if (err) {
+          return this._error(callback, `Key '${name}' does not exist. ${err.message}`)
+        }
+        const pem = res.toString()
+        this._decryptPrivateKey(pem, (err, privateKey) => {
+          if (err) return this._error(callback, err)
+
+          try {
+            const options = {
+              algorithm: 'aes256',
+              count: this.dek.iterationCount,
+              saltSize: NIST.minSaltLength,
+              prfAlgorithm: 'sha512'
+            }
+            const res = util.encryptPrivateKey(privateKey, password, options)
+            return callback(null, res)
+          } catch (e) {
+            this._error(callback, e)
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * Encrypts data of any size with an AES or RSA key.
+   *
+   * The data is encrypted with AES-GCM.  An RSA key encrypts a random
+   * content key with RSA-OAEP.  The result is a JSON Web Encryption
+   * (RFC 7516) in the flattened JSON serialization; its protected header
+   * has the `kid` of the key and the envelope version `ver`, and it has
+   * the `iv` and authentication `tag`.
+   *
+   * @param {string} name - The name of an 'aes' or 'rsa' key
+   * @param {Buffer} plain - The data to encrypt
+   * @param {object} [options]
+   * @param {Buffer} [options.associatedData] - Authenticated, but not encrypted
+   * @param {function(Error, Buffer)} callback - The JSON encoded JWE
+   */
+  encrypt (name, plain, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(plain)) {
+      return self._error(callback, invalidParameter('Data is required'))
+    }
+    options = options || {}
+
+    self._checkPolicy(name, 'encrypt', (err, info) => {
+      if (err) return callback(err)
+      if (info.type !== 'aes' && info.type !== 'rsa') {
+        return self._error(callback, invalidParameter(`Key '${name}' cannot encrypt, an RSA or AES key is required`))
+      }
+
+      self._getPrivateKey(name, (err, pem) => {
+        if (err) return callback(err)
+
+        self._decryptPrivateKey(pem, (err, key) => {
+          if (err) return self._error(callback, err)
+
+          try {
+            callback(null, jwe.encrypt(key, info.id, plain, options.associatedData))
+          } catch (err) {
+            self._error(callback, err)
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * Decrypts data from `encrypt`.
+   *
+   * The key is found by the key id in the data.
+   *
+   * @param {Buffer} data - The JSON encoded JWE
+   * @param {object} [options]
+   * @param {Buffer} [options.associatedData] - When specified, must match the
+   *   associated data of the encryption
+   * @param {function(Error, Buffer)} callback - The plain data
+   */
+  decrypt (data, options, callback) {
+    const self = this
+    options = options || {}
+    let parsed
+    try {
+      parsed = jwe.parse(data)
+    } catch (err) {
+      return self._error(callback, err)
+    }
+
+    self.findKeyById(parsed.header.kid, (err, info) => {
+      if (err) return callback(err)
+      if (!info) return self._error(callback, 'No key found for decryption')
+
+      const done = (err, plain) => {
+        self._audit({ operation: 'decrypt', name: info.name, id: info.id }, err, (auditErr) => {
+          if (err || auditErr) return self._error(callback, err || auditErr)
+          callback(null, plain)
+        })
+      }
+      self._checkPolicy(info.name, 'decrypt', (err) => {
+        if (err) return done(err)
+
+        self._getPrivateKey(info.name, (err, pem) => {
+          if (err) return done(err)
+
+          self._decryptPrivateKey(pem, (err, key) => {
+            if (err) return done(err)
+
+            try {
+              done(null, jwe.decrypt(key, parsed, options.associatedData))
+            } catch (err) {
+              done(err)
+            }
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Signs data with a key.
+   *
+   * An RSA key signs with PKCS #1 v1.5 ('pkcs1') or RSASSA-PSS ('pss') and
+   * a SHA-2 hash; by default PKCS #1 v1.5 with SHA-256.  The default
+   * signature, and the signature of an Ed25519 or secp256k1 key, is the same
+   * as libp2p-crypto's `PrivateKey.sign`.
+   *
+   * @param {string} name
+   * @param {Buffer} data
+   * @param {object} [options]
+   * @param {string} [options.scheme] - 'pkcs1' or 'pss'
+   * @param {string} [options.hash] - 'sha256', 'sha384' or 'sha512'
+   * @param {function(Error, Buffer)} callback - The signature
+   */
+  sign (name, data, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(data)) {
+      return self._error(callback, invalidParameter('Data is required'))
+    }
+
+    self._checkPolicy(name, 'sign', (err) => {
+      if (err) return callback(err)
+
+      self._getPrivateKey(name, (err, pem) => {
+        if (err) return callback(err)
+
+        self._decryptPrivateKey(pem, (err, privateKey) => {
+          if (err) return self._error(callback, err)
+
+          signature.sign(privateKey, data, options, (err, res) => {
+            if (err) return self._error(callback, err)
+            callback(null, res)
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Verifies a signature.
+   *
+   * @param {string | PeerId | Buffer} key - The name of a key in the key
+   *   chain or of a contact, a PeerId, a libp2p-crypto public key protobuf
+   *   or a PEM encoded SubjectPublicKeyInfo
+   * @param {Buffer} data
+   * @param {Buffer} sig - The signature
+   * @param {object} [options] - The `scheme` and `hash` of an RSA signature, see sign
+   * @param {function(Error, boolean)} callback - True when the signature is valid
+   */
+  verify (key, data, sig, options, callback) {
+    const self = this
+    if (!Buffer.isBuffer(data) || !Buffer.isBuffer(sig)) {
+      return self._error(callback, invalidParameter('Data and signature are required'))
+    }
+
+    const verify = (publicKey) => signature.verify(publicKey, data, sig, options, (err, valid) => {
+      if (err) return self._error(callback, err)
+      callback(null, valid)
+    })
+
+    if (typeof key === 'string' && !key.startsWith('-----BEGIN')) {
+      return self._findContact(key, (err, contact) => {
+        if (err) return self._error(callback, err)
+        if (contact) {
+          try {
+            return verify(signature.publicKeyFrom(Buffer.from(contact.publicKey, 'base64')))
+          } catch (err) {
+            return self._error(callback, err)
+          }
+        }
+
+        self._getPrivateKey(key, (err, pem) => {
+          if (err) return callback(err)
+
+          self._decryptPrivateKey(pem, (err, privateKey) => {
+            if (err) return self._error(callback, err)
+
+            try {
+              verify(signature.publicKeyOf(privateKey))
+            } catch (err) {
+              self._error(callback, err)
+            }
+          })
+        })
+      })
+    }
+
+    let publicKey
+    try {
+      publicKey = signature.publicKeyFrom(key)
+    } catch (err) {
+      return self._error(callback, err)
+    }
+    verify(publicKey)
+  }
+
+  /**
+   * Gets the public key of a key.
+   *
+   * The `format` is one of
+   * - 'pem', a PEM encoded SubjectPublicKeyInfo; the default
+   * - 'der', a DER encoded SubjectPublicKeyInfo
+   * - 'jwk', a JSON Web Key
+   * - 'protobuf', the libp2p-crypto protobuf encoding
+   * - 'peerid', a PeerId
+   *
+   * @param {string} name
+   * @param {string} [format]
+   * @param {function(Error, any)} callback
+   */
+  exportPublicKey (name, format, callback) {
+    const self = this
+    format = (format || 'pem').toLowerCase()
+    if (['pem', 'der', 'jwk', 'protobuf', 'peerid'].indexOf(format) < 0) {
+      return self._error(callback, invalidParameter(`Invalid public key format '${format}'`))
+    }
+
+    self._getPrivateKey(name, (err, pem) => {
+      if (err) return callback(err)
+
+      self._decryptPrivateKey(pem, (err, privateKey) => {
+        if (err) return self._error(callback, err)
+        if (util.keyType(privateKey) === 'aes') {
+          return self._error(callback, `Key '${name}' is a symmetric key, it has no public key`)
+        }
+
+        let res
+        try {
+          switch (format) {
+            case 'pem':
+              res = forge.pem.encode({
+                type: 'PUBLIC KEY',
+                body: forge.asn1.toDer(util.publicKeyToSpki(privateKey)).getBytes()
+              })
+              break
+            case 'der':
+              res = Buffer.from(forge.asn1.toDer(util.publicKeyToSpki(privateKey)).getBytes(), 'binary')
+              break
+            case 'jwk':
+              res = util.publicKeyToJwk(privateKey)
+              break
+            case 'protobuf':
+              res = util.publicKeyToProtobuf(privateKey)
+              break
+            case 'peerid':
+              return PeerId.createFromPubKey(util.publicKeyToProtobuf(privateKey), callback)
+          }
+        } catch (err) {
+          return self._error(callback, err)
+        }
+        callback(null, res)
+      })
+    })
+  }
+
+  /**
+   * Imports a private key.
+   *
+   * The format of the key is detected, unless `options.format` is one of
+   * - 'pkcs8', a PEM encoded PKCS #8 key; which may be encrypted
+   * - 'pkcs1', a PEM encoded PKCS #1 RSA key; which may be encrypted
+   * - 'jwk', a JSON Web Key
+   * - 'openssh', an unencrypted OpenSSH key
+   *
+   * @param {string} name
+   * @param {string | object} key
+   * @param {string} [password] - Required for an encrypted key
+   * @param {object} [options]
+   * @param {string} [options.format]
+   * @param {object} [options.policy] - The `operations`, `notAfter` and `exportable` of the key
+   * @param {function(Error, KeyInfo)} callback
+   */
+  importKey (name, key, password, options, callback) {
+    const self = this
+    if (!validateKeyName(name) || name === 'self') {
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
+    }
+    if (!key) {
+      return self._error(callback, invalidParameter('Private key is required'))
+    }
+    options = options || {}
+    const format = options.format && options.format.toLowerCase()
+    if (format && formats.formats.indexOf(format) < 0) {
+      return self._error(callback, invalidParameter(`Invalid key format '${options.format}'`))
+    }
+    let policy
+    try {
+      policy = createPolicy(options.policy)
+    } catch (err) {
+      return self._error(callback, err)
+    }
+    const dsname = DsName(name)
+    self.store.has(dsname, (err, exists) => {
+      if (exists) return self._error(callback, keyExists(name))
+
+      let privateKey
+      const read = (cb) => {
+        formats.readPrivateKey(key, password, format, (err, res) => {
+          privateKey = res
+          cb(err)
+        })
+      }
+      // Only an encrypted key has a password to guess
+      const attempt = password ? (cb) => self._tryPassword(read, cb) : read
+      attempt((err) => {
+        if (err) return self._error(callback, err)
+
+        self._storeKey(name, privateKey, 'imported', policy, callback)
+      })
+    })
+  }
+
+  /**
+   * Imports the private key of a peer.
+   *
+   * @param {string} name
+   * @param {PeerId} peer
+   * @param {object} [options]
+   * @param {object} [options.policy] - The `operations`, `notAfter` and `exportable` of the key
+   * @param {function(Error, KeyInfo)} callback
+   */
+  importPeer (name, peer, options, callback) {
+    const self = this
+    if (!validateKeyName(name)) {
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
+    }
+    let policy
+    try {
+      policy = createPolicy((options || {}).policy)
+    } catch (err) {
+      return self._error(callback, err)
+    }
+    if (!peer || !peer.privKey) {
+      return self._error(callback, invalidParameter('Peer.privKey \is required'))
+    }
+    const dsname = DsName(name)
+    self.store.has(dsname, (err, exists) => {
+      if (exists) return self._error(callback, keyExists(name))
+
+      const privateKeyProtobuf = peer.marshalPrivKey()
+      libp2pCrypto.keys.unmarshalPrivateKey(privateKeyProtobuf, (err, key) => {
+        if (err) return self._error(callback, err)
+
+        try {
+          let privateKey = key
+          if (key instanceof libp2pCrypto.keys.supportedKeys.rsa.RsaPrivateKey) {
+            const der = key.marshal()
+            const buf = forge.util.createBuffer(der.toString('binary'));
+            const obj = forge.asn1.fromDer(buf)
+            privateKey = forge.pki.privateKeyFromAsn1(obj)
+          }
+          if (privateKey === null) {
+            return self._error(callback, 'Cannot read the peer private key')
+          }
+          self._storeKey(name, privateKey, 'peer', policy, callback)
+        } catch (err) {
+          self._error(callback, err)
+        }
+      })
+    })
+  }
+
+  /**
+   * Information about a certificate.
+   *
+   * @typedef {Object} CertificateInfo
+   * @property {string} id - The SHA-256 fingerprint of the certificate
+   * @property {string} subject
+   * @property {string} issuer
+   * @property {string} serialNumber - Hex encoded
+   * @property {string} subjectKeyIdentifier - Hex encoded
+   * @property {Date} notBefore
+   * @property {Date} notAfter
+   * @property {string} keyId - The IPFS key id of the certificate's public key
+   * @property {string} [name] - The name of the key, when the key chain holds the private key
+   */
+
+  /**
+   * Imports an X.509 certificate; of a key in the key chain or of a contact.
+   *
+   * A certificate of a key in the key chain is used in the CMS messages of
+   * the key, instead of a self-signed certificate.  Only certificates with
+   * an RSA key are supported.
+   *
+   * @param {string | Buffer} certificate - PEM or DER encoded
+   * @param {function(Error, CertificateInfo)} callback
+   */
+  importCertificate (certificate, callback) {
+    const self = this
+    if (!certificate) {
+      return self._error(callback, invalidParameter('Certificate is required'))
+    }
+    let cert
+    try {
+      cert = readCertificate(certificate)
+    } catch (err) {
+      return self._error(callback, err)
+    }
+
+    const pem = forge.pki.certificateToPem(cert)
+    self.store.put(CertName(cert.id), pem, (err) => {
+      if (err) return self._error(callback, err)
+
+      self._certificateInfo(cert, callback)
+    })
+  }
+
+  /**
+   * List all the certificates.
+   *
+   * @param {function(Error, CertificateInfo[])} callback
+   */
+  listCertificates (callback) {
+    const self = this
+    self._certificates((err, certs) => {
+      if (err) return self._error(callback, err)
+
+      async.mapSeries(certs, (cert, cb) => self._certificateInfo(cert, cb), callback)
+    })
+  }
+
+  /**
+   * Exports a certificate.
+   *
+   * @param {string} id - The certificate id
+   * @param {function(Error, string)} callback - The PEM encoded certificate
+   */
+  exportCertificate (id, callback) {
+    const self = this
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      return self._error(callback, invalidParameter(`Invalid certificate id '${id}'`))
+    }
+    self.store.get(CertName(id), (err, res) => {
+      if (err) return self._error(callback, `Certificate '${id}' does not exist. ${err.message}`)
+
+      callback(null, res.toString())
+    })
+  }
+
+  /**
+   * Removes a certificate.
+   *
+   * @param {string} id - The certificate id
+   * @param {function(Error)} callback
+   */
+  removeCertificate (id, callback) {
+    const self = this
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      return self._error(callback, invalidParameter(`Invalid certificate id '${id}'`))
+    }
+    const dsname = CertName(id)
+    self.store.has(dsname, (err, exists) => {
+      if (err) return self._error(callback, err)
+      if (!exists) return self._error(callback, `Certificate '${id}' does not exist`)
+
+      self.store.delete(dsname, (err) => {
+        if (err) return self._error(callback, err)
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Creates a PKCS #10 certificate signing request (CSR) for a key.
+   *
+   * The CSR is signed with the key, so the key's policy must allow signing.
+   * Only RSA keys are supported.
+   *
+   * @param {string} name - The key name
+   * @param {object[]} [subject] - The subject's attributes, such as
+   *   `{ name: 'commonName', value: 'alice' }`; by default O=ipfs, OU=keystore
+   *   and the CN is the key id
+   * @param {function(Error, string)} callback - The PEM encoded CSR
+   */
+  createCertificateRequest (name, subject, callback) {
+    const self = this
+    if (!validateKeyName(name)) {
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
+    }
+    if (subject && (!Array.isArray(subject) || subject.length === 0)) {
+      return self._error(callback, invalidParameter('Subject must be an array of attributes'))
+    }
+
+    self._checkPolicy(name, 'sign', (err, info) => {
+      if (err) return callback(err)
+
+      self._getPrivateKey(name, (err, pem) => {
+        if (err) return callback(err)
+
+        self._decryptPrivateKey(pem, (err, privateKey) => {
+          if (err) return self._error(callback, err)
+          if (util.keyType(privateKey) !== 'rsa') {
+            return self._error(callback, `Key '${name}' cannot have a certificate, an RSA key is required`)
+          }
+
+          try {
+            const csr = forge.pki.createCertificationRequest()
+            csr.publicKey = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e)
+            csr.setSubject(subject || [
+              { name: 'organizationName', value: 'ipfs' },
+              { shortName: 'OU', value: 'keystore' },
+              { name: 'commonName', value: info.id }
+            ])
+            csr.sign(privateKey, forge.md.sha256.create())
+            callback(null, forge.pki.certificationRequestToPem(csr))
+          } catch (err) {
+            self._error(callback, err)
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * Information about a contact.
+   *
+   * @typedef {Object} ContactInfo
+   * @property {string} name - The name of the contact, local to the key chain
+   * @property {string} id - The IPFS key id of the contact's public key
+   * @property {string} type - 'rsa', 'ed25519' or 'secp256k1'
+   * @property {string} source - Where the public key came from
+   * @property {string} trust - 'unknown', 'marginal' or 'full'
+   * @property {Date} added - When the contact was added
+   */
+
+  /**
+   * Adds the public key of another peer to the contacts.
+   *
+   * A contact can be used instead of a key name as the recipient of a CMS
+   * message or an encrypted block and to verify a signature.  The name
+   * cannot be the name of a key in the key chain and a key id can only be
+   * one contact.
+   *
+   * @param {string} name
+   * @param {PeerId | Buffer | string} publicKey - A PeerId, a libp2p-crypto
+   *   public key protobuf or a PEM encoded SubjectPublicKeyInfo
+   * @param {object} [options]
+   * @param {string} [options.source] - Where the public key came from, defaults to 'manual'
+   * @param {string} [options.trust] - 'unknown' (the default), 'marginal' or 'full'
+   * @param {function(Error, ContactInfo)} callback
+   */
+  addContact (name, publicKey, options, callback) {
+    const self = this
+    if (!validateKeyName(name) || name === 'self') {
+      return self._error(callback, invalidParameter(`Invalid contact name '${name}'`))
+    }
+    options = options || {}
+    const trust = options.trust || 'unknown'
+    if (trustLevels.indexOf(trust) < 0) {
+      return self._error(callback, invalidParameter(`Invalid trust level '${options.trust}'`))
+    }
+    if (options.source !== undefined && typeof options.source !== 'string') {
+      return self._error(callback, invalidParameter('Source must be a string'))
+    }
+    let key
+    try {
+      key = signature.publicKeyFrom(publicKey)
+    } catch (err) {
+      return self._error(callback, invalidParameter(err.message))
+    }
+    const protobuf = key.n ? util.publicKeyToProtobuf(key) : key.bytes
+
+    self._checkContactName(name, (err) => {
+      if (err) return callback(err)
+
+      self._contacts((err, contacts) => {
+        if (err) return self._error(callback, err)
+
+        PeerId.createFromPubKey(protobuf, (err, peer) => {
+          if (err) return self._error(callback, err)
+
+          const id = peer.toB58String()
+          const existing = contacts.find((c) => c.id === id)
+          if (existing) {
+            return self._error(callback, contactExists(`Key id '${id}' is already the contact '${existing.name}'`))
+          }
+          const contact = {
+            name: name,
+            id: id,
+            type: publicKeyType(key),
+            publicKey: protobuf.toString('base64'),
+            source: options.source || 'manual',
+            trust: trust,
+            added: new Date().toISOString()
+          }
+          self.store.put(ContactName(name), contactJson(contact), (err) => {
+            if (err) return self._error(callback, err)
+            callback(null, contactInfo(contact))
+          })
+        })
+      })
+    })
+  }
+
+  /**
+   * Lists the contacts.
+   *
+   * @param {object} [filter] - Only contacts with the `trust` level
+   * @param {function(Error, ContactInfo[])} callback
+   */
+  listContacts (filter, callback) {
+    const self = this
+    filter = filter || {}
+    self._contacts((err, contacts) => {
+      if (err) return self._error(callback, err)
+
+      if (filter.trust) {
+        contacts = contacts.filter((c) => c.trust === filter.trust)
+      }
+      callback(null, contacts.map(contactInfo))
+    })
+  }
+
+  /**
+   * Finds the contact with a key id.
+   *
+   * @param {string} id
+   * @param {function(Error, ContactInfo)} callback - The contact; undefined
+   *   when not found
+   */
+  findContactById (id, callback) {
+    const self = this
+    self._contacts((err, contacts) => {
+      if (err) return self._error(callback, err)
+
+      const contact = contacts.find((c) => c.id === id)
+      callback(null, contact ? contactInfo(contact) : undefined)
+    })
+  }
+
+  /**
+   * Sets the trust level of a contact.
+   *
+   * @param {string} name
+   * @param {string} trust - 'unknown', 'marginal' or 'full'
+   * @param {function(Error, ContactInfo)} callback
+   */
+  setContactTrust (name, trust, callback) {
+    const self = this
+    if (trustLevels.indexOf(trust) < 0) {
+      return self._error(callback, invalidParameter(`Invalid trust level '${trust}'`))
+    }
+
+    self._getContact(name, (err, contact) => {
+      if (err) return callback(err)
+
+      contact.trust = trust
+      self.store.put(ContactName(name), contactJson(contact), (err) => {
+        if (err) return self._error(callback, err)
+        callback(null, contactInfo(contact))
+      })
+    })
+  }
+
+  /**
+   * Renames a contact.
+   *
+   * @param {string} oldName
+   * @param {string} newName
+   * @param {function(Error, ContactInfo)} callback
+   */
+  renameContact (oldName, newName, callback) {
+    const self = this
+    if (!validateKeyName(newName) || newName === 'self') {
+      return self._error(callback, invalidParameter(`Invalid new contact name '${newName}'`))
+    }
+
+    self._getContact(oldName, (err, contact) => {
+      if (err) return callback(err)
+
+      self._checkContactName(newName, (err) => {
+        if (err) return callback(err)
+
+        contact.name = newName
+        const batch = self.store.batch()
+        batch.put(ContactName(newName), contactJson(contact))
+        batch.delete(ContactName(oldName))
+        batch.commit((err) => {
+          if (err) return self._error(callback, err)
+          callback(null, contactInfo(contact))
+        })
+      })
+    })
+  }
+
+  /**
+   * Removes a contact.
+   *
+   * @param {string} name
+   * @param {function(Error)} callback
+   */
+  removeContact (name, callback) {
+    const self = this
+    self._getContact(name, (err) => {
+      if (err) return callback(err)
+
+      self.store.delete(ContactName(name), (err) => {
+        if (err) return self._error(callback, err)
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Creates the DEK from the pass phrase and the DEK parameters in the store.
+   *
+   * On first use, the DEK parameters with a random salt are saved in the store.
+   * Otherwise, the saved parameters are used and the pass phrase is verified.
+   *
+   * @param {string} passPhrase
+   * @param {function(Error)} callback
+   */
+  _loadDek (passPhrase, callback) {
+    const self = this
+    self.store.has(dekInfoName, (err, exists) => {
+      if (err) return callback(err)
+
+      if (exists) {
+        return self.store.get(dekInfoName, (err, res) => {
+          if (err) return callback(err)
+
+          let dek
+          let info
+          try {
+            info = JSON.parse(res.toString())
+            dek = deriveDek(passPhrase, info)
+          } catch (err) {
+            return callback(new Error(`Invalid DEK information. ${err.message}`))
+          }
+          if (dekVerifier(dek) !== info.verifier) {
+            return callback(codedError('Invalid pass phrase', 'ERR_INVALID_PASSWORD'))
+          }
+          delete info.verifier
+          self.dek = info
+          self._setDek(dek)
+          callback()
+        })
+      }
+
+      pull(
+        self.store.query({}),
+        pull.collect((err, res) => {
+          if (err) return callback(err)
+
+          // Existing keys must stay readable, so only a new key chain gets
+          // a random salt.
+          const keys = res.filter(isKeyEntry)
+          const info = Object.assign({}, self.dek)
+          if (keys.length === 0 && info.salt === defaultOptions.dek.salt) {
+            info.salt = crypto.randomBytes(NIST.minSaltLength * 2).toString('base64')
+          }
+          const dek = deriveDek(passPhrase, info)
+
+          const save = () => {
+            info.verifier = dekVerifier(dek)
+            self.store.put(dekInfoName, JSON.stringify(info), (err) => {
+              if (err) return callback(err)
+
+              delete info.verifier
+              self.dek = info
+              self._setDek(dek)
+              callback()
+            })
+          }
+          if (keys.length === 0) return save()
+
+          util.decryptPrivateKey(keys[0].value.toString(), dek, (err) => {
+            if (err) return callback(codedError('Invalid pass phrase', 'ERR_INVALID_PASSWORD'))
+            save()
+          })
+        })
+      )
+    })
+  }
+
+  /**
+   * Encrypts and saves a private key with its metadata, and adds it to the
+   * key id index.
+   *
+   * @param {string} name
+   * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+   * @param {string} origin - 'generated', 'imported' or 'peer'
+   * @param {object} policy - See createPolicy
+   * @param {function(Error, KeyInfo)} callback
+   */
+  _storeKey (name, privateKey, origin, policy, callback) {
+    const self = this
+    util.keyId(privateKey, (err, kid) => {
+      if (err) return self._error(callback, err)
+
+      let pem
+      let meta
+      try {
+        pem = util.encryptPrivateKey(privateKey, self._())
+        const now = new Date()
+        meta = {
+          id: kid,
+          type: util.keyType(privateKey),
+          size: util.keySize(privateKey),
+          created: now,
+          rotated: now,
+          origin: origin,
+          labels: [],
+          policy: policy
+        }
+      } catch (err) {
+        return self._error(callback, err)
+      }
+      const batch = self.store.batch()
+      batch.put(DsName(name), pem)
+      batch.put(MetaName(name), JSON.stringify(meta))
+      batch.put(IdName(kid, name), name)
+      batch.commit((err) => {
+        if (err) return self._error(callback, err)
+
+        self._getKeyInfo(name, callback)
+      })
+    })
+  }
+
+  /**
+   * Changes the metadata of a key.
+   *
+   * @param {string} name
+   * @param {object} changes - The metadata properties to change
+   * @param {function(Error, KeyInfo)} callback
+   */
+  _updateMeta (name, changes, callback) {
+    const self = this
+    self.store.get(MetaName(name), (err, res) => {
+      if (err) return self._error(callback, err)
+
+      const meta = Object.assign(JSON.parse(res.toString()), changes)
+      self.store.put(MetaName(name), JSON.stringify(meta), (err) => {
+        if (err) return self._error(callback, err)
+
+        self._getKeyInfo(name, callback)
+      })
+    })
+  }
+
+  /**
+   * Finds a key with the key id index.
+   *
+   * The callback's `stale` is true when the index names a key that
+   * does not exist or has a different id.
+   *
+   * @param {string} id
+   * @param {function(Error, KeyInfo, boolean)} callback
+   */
+  _lookupKeyId (id, callback) {
+    const self = this
+    const prefix = '/ids/' + id
+    pull(
+      self.store.query({ prefix: prefix, keysOnly: true }),
+      pull.filter((r) => r.key.parent().toString() === prefix),
+      pull.collect((err, res) => {
+        if (err) return callback(err)
+
+        let stale = false
+        let key
+        const names = res.map((r) => r.key.baseNamespace())
+        async.detectSeries(names, (name, cb) => {
+          self._getKeyInfo(name, (err, info) => {
+            if (err || info.id !== id) {
+              stale = true
+              return cb(null, false)
+            }
+            key = info
+            cb(null, true)
+          })
+        }, (err) => callback(err, key, stale))
+      })
+    )
+  }
+
+  /**
+   * Rebuilds the key id index from the existing keys.
+   *
+   * @param {function(Error)} callback
+   */
+  _buildIndex (callback) {
+    const self = this
+    pull(
+      self.store.query({ keysOnly: true }),
+      pull.filter((r) => r.key.toString().startsWith('/ids/')),
+      pull.collect((err, res) => {
+        if (err) return callback(err)
+
+        self.listKeys((err, keys) => {
+          if (err) return callback(err)
+
+          const batch = self.store.batch()
+          const current = keys.map((k) => {
+            const dsname = IdName(k.id, k.name)
+            batch.put(dsname, k.name)
+            return dsname.toString()
+          })
+          res
+            .filter((r) => current.indexOf(r.key.toString()) < 0)
+            .forEach((r) => batch.delete(r.key))
+          batch.put(indexName, new Date().toISOString())
+          batch.commit(callback)
+        })
+      })
+    )
+  }
+
+  /**
+   * Determines the name of a restored key.
+   *
+   * The callback's `name` is null when the key is skipped and `existing` is
+   * the KeyInfo of an overwritten key.
+   *
+   * @param {string} name - The name in the backup
+   * @param {string} onConflict - 'skip', 'rename' or 'overwrite'
+   * @param {string[]} restored - The names already restored
+   * @param {function(Error, string, KeyInfo)} callback
+   */
+  _restoreName (name, onConflict, restored, callback) {
+    const self = this
+    const exists = (candidate, cb) => {
+      if (restored.indexOf(candidate) >= 0) return cb(null, true)
+      self.store.has(DsName(candidate), cb)
+    }
+
+    exists(name, (err, found) => {
+      if (err) return callback(err)
+      if (!found) return callback(null, name)
+
+      switch (onConflict) {
+        case 'skip':
+          return callback(null, null)
+
+        case 'overwrite':
+          if (restored.indexOf(name) >= 0) {
+            return callback(new Error(`Key '${name}' is in the backup more than once`))
+          }
+          return self._getKeyInfo(name, (err, existing) => callback(err, name, existing))
+
+        case 'rename': {
+          let n = 0
+          let candidate
+          return async.doUntil(
+            (cb) => {
+              candidate = `${name}-${++n}`
+              exists(candidate, cb)
+            },
+            (found) => !found,
+            (err) => callback(err, candidate))
+        }
+      }
+    })
+  }
+
+  /**
+   * Records the outcome of an operation in the audit log.
+   *
+   * @param {object} entry - The `operation`, key `name`, `id` and `detail`;
+   *   the `id` is found when it is not specified
+   * @param {Error} [err] - The error of the operation
+   * @param {function(Error)} callback
+   */
+  _audit (entry, err, callback) {
+    const self = this
+    entry = Object.assign({ name: null, detail: null }, entry, {
+      outcome: err ? 'failure' : 'success',
+      error: err ? err.message : null
+    })
+    if (entry.id !== undefined) return self._auditQueue.push(entry, callback)
+
+    self._auditKeyId(entry.name, (id) => {
+      entry.id = id
+      self._auditQueue.push(entry, callback)
+    })
+  }
+
+  /**
+   * Appends an entry to the audit log, chaining it to the last entry.
+   *
+   * @param {object} entry
+   * @param {function(Error)} callback
+   */
+  _appendAudit (entry, callback) {
+    const self = this
+    self.store.get(auditHeadName, (err, res) => {
+      const head = err ? { seq: 0, hash: null } : JSON.parse(res.toString())
+      const record = {
+        seq: head.seq + 1,
+        time: new Date().toISOString(),
+        operation: entry.operation,
+        name: entry.name,
+        id: entry.id,
+        detail: entry.detail,
+        outcome: entry.outcome,
+        error: entry.error,
+        previous: head.hash
+      }
+      record.hash = auditHash(record, self._auditKey)
+
+      const batch = self.store.batch()
+      batch.put(AuditName(record.seq), JSON.stringify(record))
+      batch.put(auditHeadName, JSON.stringify({ seq: record.seq, hash: record.hash }))
+      batch.commit(callback)
+    })
+  }
+
+  /**
+   * Adds the audit log, chained with the key of a new DEK, to a batch.
+   *
+   * Nothing is added when the log is not valid with the old DEK, so that
+   * a changed log is not made valid.
+   *
+   * @param {string} oldDek
+   * @param {string} newDek
+   * @param {object} batch
+   * @param {function(Error)} callback
+   */
+  _rechainAudit (oldDek, newDek, batch, callback) {
+    const self = this
+    self._readAudit((err, entries) => {
+      if (err) return callback(err)
+
+      self.store.get(auditHeadName, (err, res) => {
+        const head = err ? null : JSON.parse(res.toString())
+        if (!head || auditProblem(entries, head, auditKey(oldDek))) return callback()
+
+        const key = auditKey(newDek)
+        let previous = null
+        entries.forEach((entry) => {
+          entry.previous = previous
+          entry.hash = auditHash(entry, key)
+          previous = entry.hash
+          batch.put(AuditName(entry.seq), JSON.stringify(entry))
         })
+        batch.put(auditHeadName, JSON.stringify({ seq: head.seq, hash: previous }))
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Reads the audit log entries, in sequence order.
+   *
+   * @param {function(Error, object[])} callback
+   */
+  _readAudit (callback) {
+    pull(
+      this.store.query({ prefix: '/audit' }),
+      pull.filter((r) => r.key.parent().toString() === '/audit'),
+      pull.collect((err, res) => {
+        if (err) return callback(err)
+
+        try {
+          const entries = res
+            .sort((a, b) => a.key.toString() < b.key.toString() ? -1 : 1)
+            .map((r) => JSON.parse(r.value.toString()))
+          callback(null, entries)
+        } catch (err) {
+          callback(err)
+        }
+      })
+    )
+  }
+
+  /**
+   * Gets the key id of a key, without failing.
+   *
+   * @param {string} name
+   * @param {function(string)} callback - The key id or null
+   */
+  _auditKeyId (name, callback) {
+    if (!name || !validateKeyName(name)) return callback(null)
+
+    this.store.get(MetaName(name), (err, res) => {
+      try {
+        callback(err ? null : JSON.parse(res.toString()).id)
       } catch (err) {
-        _error(callback, err)
+        callback(null)
       }
     })
   }
 
-  importPeer (name, peer, callback) {
+  /**
+   * Determines if the policy of a key allows an operation.
+   *
+   * @param {string} name
+   * @param {string} operation - 'encrypt', 'decrypt', 'sign' or 'export'
+   * @param {function(Error, KeyInfo)} callback
+   */
+  _checkPolicy (name, operation, callback) {
+    this._getKeyInfo(name, (err, info) => {
+      if (err) return callback(err)
+
+      const violation = policyViolation(info, operation)
+      if (violation) return this._error(callback, violation)
+      callback(null, info)
+    })
+  }
+
+  /**
+   * Returns an error to the caller, after a delay.
+   *
+   * An error may indicate that the key chain is under attack, so it is
+   * delayed to make brute force attacks harder.  The delay is from the
+   * `bruteForce.delay` strategy, which is given the error and the number of
+   * consecutive failed pass phrase and password attempts; see backoff.
+   *
+   * @param {function(Error)} callback - The caller
+   * @param {string | Error} err - The error
+   */
+  _error (callback, err) {
+    if (typeof err === 'string') err = new Error(err)
+    const failures = this._failures ? this._failures.count : 0
+    setTimeout(callback, this._delay(err, failures), err, null)
+  }
+
+  /**
+   * Gets the failed pass phrase and password attempts; the `count` of
+   * consecutive failures and the time when a lockout ends.
+   *
+   * @param {function(Error, object)} callback
+   */
+  _getFailures (callback) {
     const self = this
-    if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
-    }
-    if (!peer || !peer.privKey) {
-      return _error(callback, 'Peer.privKey \is required')
-    }
-    const dsname = DsName(name)
-    self.store.has(dsname, (err, exists) => {
-      if (exists) return _error(callback, `Key '${name}' already exists'`)
+    if (self._failures) return callback(null, self._failures)
 
-      const privateKeyProtobuf = peer.marshalPrivKey()
-      libp2pCrypto.keys.unmarshalPrivateKey(privateKeyProtobuf, (err, key) => {
+    self.store.has(failuresName, (err, exists) => {
+      if (err) return callback(err)
+
+      const loaded = (failures) => {
+        if (!self._failures) {
+          Object.defineProperty(self, '_failures', { value: failures })
+        }
+        callback(null, self._failures)
+      }
+      if (!exists) return loaded({ count: 0, lockedUntil: 0 })
+
+      self.store.get(failuresName, (err, res) => {
+        if (err) return callback(err)
+
+        let failures
         try {
-          const der = key.marshal()
-          const buf = forge.util.createBuffer(der.toString('binary'));
-          const obj = forge.asn1.fromDer(buf)
-          const privateKey = forge.pki.privateKeyFromAsn1(obj)
-          if (privateKey === null) {
-            return _error(callback, 'Cannot read the peer private key')
+          failures = JSON.parse(res.toString())
+        } catch (err) {
+          return callback(new Error(`Invalid failure information. ${err.message}`))
+        }
+        loaded(failures)
+      })
+    })
+  }
+
+  /**
+   * Tries a pass phrase or password.
+   *
+   * A wrong pass phrase or password, an 'ERR_INVALID_PASSWORD' error, is
+   * counted in the store.  After `bruteForce.maxFailures` consecutive
+   * failures, nothing can be tried until `bruteForce.lockoutPeriod`
+   * milliseconds have passed.  A success or the end of a lockout resets
+   * the count.
+   *
+   * @param {function(function(Error))} attempt - Uses the pass phrase or password
+   * @param {function(Error)} callback
+   */
+  _tryPassword (attempt, callback) {
+    const self = this
+    self._getFailures((err, failures) => {
+      if (err) return callback(err)
+
+      if (failures.lockedUntil > Date.now()) {
+        const until = new Date(failures.lockedUntil).toISOString()
+        return callback(codedError(`Too many failed attempts, try again after ${until}`, 'ERR_LOCKED_OUT'))
+      }
+      if (failures.lockedUntil) {
+        failures.count = 0
+        failures.lockedUntil = 0
+      }
+
+      attempt((err) => {
+        const failed = err && err.code === 'ERR_INVALID_PASSWORD'
+        if (err && !failed) return callback(err)
+        if (!failed && failures.count === 0) return callback()
+
+        if (failed) {
+          failures.count++
+          if (failures.count >= self.bruteForce.maxFailures) {
+            failures.lockedUntil = Date.now() + self.bruteForce.lockoutPeriod
           }
-          const pem = forge.pki.encryptRsaPrivateKey(privateKey, this._());
-          return self.store.put(dsname, pem, (err) => {
-            if (err) return _error(callback, err)
+        } else {
+          failures.count = 0
+          failures.lockedUntil = 0
+        }
+        self.store.put(failuresName, JSON.stringify(failures), (e) => callback(err || e))
+      })
+    })
+  }
+
+  /**
+   * Gets the stored contacts, with their `name` and `publicKey` protobuf
+   * in base64.
+   *
+   * @param {function(Error, object[])} callback
+   */
+  _contacts (callback) {
+    pull(
+      this.store.query({ prefix: '/contacts' }),
+      pull.filter((r) => r.key.parent().toString() === '/contacts'),
+      pull.collect((err, res) => {
+        if (err) return callback(err)
 
-            this._getKeyInfo(name, callback)
+        let contacts
+        try {
+          contacts = res.map((r) => {
+            const contact = JSON.parse(r.value.toString())
+            contact.name = r.key.baseNamespace()
+            return contact
           })
         } catch (err) {
-          _error(callback, err)
+          return callback(err)
+        }
+        callback(null, contacts)
+      })
+    )
+  }
+
+  /**
+   * Gets a stored contact, see _contacts.
+   *
+   * @param {string} name
+   * @param {function(Error, object)} callback
+   */
+  _getContact (name, callback) {
+    const self = this
+    if (!validateKeyName(name)) {
+      return self._error(callback, invalidParameter(`Invalid contact name '${name}'`))
+    }
+
+    self.store.get(ContactName(name), (err, res) => {
+      if (err) {
+        return self._error(callback, `Contact '${name}' does not exist. ${err.message}`)
+      }
+      try {
+        const contact = JSON.parse(res.toString())
+        contact.name = name
+        callback(null, contact)
+      } catch (err) {
+        self._error(callback, err)
+      }
+    })
+  }
+
+  /**
+   * Finds the contact with a name, when there is no key with the name.
+   *
+   * Keys take precedence, so that a contact does not replace a key of the
+   * key chain when a name is used as a recipient or to verify a signature.
+   *
+   * @param {string} name
+   * @param {function(Error, object)} callback - The stored contact, see
+   *   _contacts; null when not found
+   */
+  _findContact (name, callback) {
+    const self = this
+    if (!validateKeyName(name)) return callback(null, null)
+
+    self.store.has(DsName(name), (err, isKey) => {
+      if (err) return callback(err)
+      if (isKey) return callback(null, null)
+
+      self.store.has(ContactName(name), (err, exists) => {
+        if (err) return callback(err)
+        if (!exists) return callback(null, null)
+
+        self._getContact(name, callback)
+      })
+    })
+  }
+
+  /**
+   * Checks that a name is not used by a contact or a key.
+   *
+   * @param {string} name
+   * @param {function(Error)} callback
+   */
+  _checkContactName (name, callback) {
+    const self = this
+    self.store.has(DsName(name), (err, isKey) => {
+      if (err) return self._error(callback, err)
+      if (isKey) return self._error(callback, keyExists(name))
+
+      self.store.has(ContactName(name), (err, exists) => {
+        if (err) return self._error(callback, err)
+        if (exists) return self._error(callback, contactExists(`Contact '${name}' already exists`))
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Gets all the certificates.
+   *
+   * Each certificate has its `id` and the IPFS `keyId` of its public key.
+   *
+   * @param {function(Error, forge.pki.Certificate[])} callback
+   */
+  _certificates (callback) {
+    pull(
+      this.store.query({ prefix: '/certs' }),
+      pull.filter((r) => r.key.parent().toString() === '/certs'),
+      pull.collect((err, res) => {
+        if (err) return callback(err)
+
+        async.mapSeries(res, (r, cb) => {
+          let cert
+          try {
+            cert = readCertificate(r.value)
+          } catch (err) {
+            return cb(err)
+          }
+          util.keyId(cert.publicKey, (err, kid) => {
+            if (err) return cb(err)
+
+            cert.keyId = kid
+            cb(null, cert)
+          })
+        }, callback)
+      })
+    )
+  }
+
+  /**
+   * Gets the CertificateInfo of a certificate.
+   *
+   * @param {forge.pki.Certificate} cert
+   * @param {function(Error, CertificateInfo)} callback
+   */
+  _certificateInfo (cert, callback) {
+    const self = this
+    util.keyId(cert.publicKey, (err, kid) => {
+      if (err) return callback(err)
+
+      self.findKeyById(kid, (err, key) => {
+        if (err) return callback(err)
+
+        const info = {
+          id: cert.id,
+          subject: distinguishedName(cert.subject),
+          issuer: distinguishedName(cert.issuer),
+          serialNumber: cert.serialNumber,
+          subjectKeyIdentifier: util.subjectKeyIdentifier(cert),
+          notBefore: cert.validity.notBefore,
+          notAfter: cert.validity.notAfter,
+          keyId: kid
+        }
+        if (key) info.name = key.name
+        callback(null, info)
+      })
+    })
+  }
+
+  /**
+   * Sets how the key chain is opened; the DEK is derived from the pass
+   * phrase when the key chain is next used.
+   *
+   * @param {string} passPhrase
+   */
+  _setOpener (passPhrase) {
+    let waiting = null
+    const opened = (callback) => {
+      this._touch()
+      callback()
+    }
+    const open = (callback) => {
+      if (waiting) return waiting.push(callback)
+
+      waiting = [callback]
+      this._tryPassword((cb) => this._loadDek(passPhrase, cb), (err) => {
+        const callbacks = waiting
+        waiting = null
+        if (!err && this._open !== open) {
+          // Locked while opening
+          this._wipeDek()
+          err = lockedError()
+        }
+        if (!err) {
+          passPhrase = null
+          Object.defineProperty(this, '_open', { configurable: true, value: opened })
+          this._touch()
         }
+        callbacks.forEach((cb) => cb(err))
+      })
+    }
+    Object.defineProperty(this, '_open', { configurable: true, value: open })
+  }
+
+  /**
+   * Restarts the idle timer of the auto lock.
+   */
+  _touch () {
+    if (!this.autoLock) return
+
+    clearTimeout(this._idleTimer)
+    const timer = setTimeout(() => this.lock(() => {}), this.autoLock * 60 * 1000)
+    // Do not keep a node process alive
+    if (timer.unref) timer.unref()
+    Object.defineProperty(this, '_idleTimer', { value: timer, configurable: true })
+  }
+
+  /**
+   * Sets the DEK.
+   *
+   * The DEK is kept in a Buffer, so that it can be overwritten when the key
+   * chain is locked.  The audit log key is kept when the key chain is
+   * locked, so that the operations that fail are still recorded; it
+   * reveals nothing about the DEK.
+   *
+   * @param {string} dek - The hex encoded DEK
+   */
+  _setDek (dek) {
+    if (this._wipeDek) this._wipeDek()
+    Object.defineProperty(this, '_auditKey', { value: auditKey(dek), configurable: true })
+    const key = Buffer.from(dek, 'hex')
+    Object.defineProperty(this, '_', { value: () => key.toString('hex'), configurable: true })
+    Object.defineProperty(this, '_wipeDek', {
+      configurable: true,
+      value: () => {
+        key.fill(0)
+        Object.defineProperty(this, '_', {
+          configurable: true,
+          value: () => { throw lockedError() }
+        })
+      }
+    })
+  }
+
+  /**
+   * Gets a key as a PeerId.
+   *
+   * The PeerId has the private and public key; its id is the key id.
+   *
+   * @param {string} name
+   * @param {function(Error, PeerId)} callback
+   */
+  exportPeer (name, callback) {
+    const self = this
+    self._checkPolicy(name, 'export', (err) => {
+      if (err) return callback(err)
+
+      self._getPrivateKey(name, (err, pem) => {
+        if (err) return callback(err)
+
+        self._decryptPrivateKey(pem, (err, privateKey) => {
+          if (err) return self._error(callback, err)
+          if (util.keyType(privateKey) === 'aes') {
+            return self._error(callback, `Key '${name}' is a symmetric key, it cannot be a PeerId`)
+          }
+
+          util.privateKeyToProtobuf(privateKey, (err, buf) => {
+            if (err) return self._error(callback, err)
+
+            PeerId.createFromPrivKey(buf, callback)
+          })
+        })
       })
     })
   }
@@ -318,105 +2680,216 @@ class Keychain {
   _getPrivateKey (name, callback) {
     const self = this
     if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
     }
     this.store.get(DsName(name), (err, res) => {
       if (err) {
-        return _error(callback, `Key '${name}' does not exist. ${err.message}`)
+        return self._error(callback, `Key '${name}' does not exist. ${err.message}`)
       }
       callback(null, res.toString())
     })
   }
 
+  /**
+   * Decrypts a PEM encoded private key with the DEK.  The key chain
+   * can be locked while an operation waits on the store, so this fails
+   * with ERR_KEYCHAIN_LOCKED instead of throwing.
+   *
+   * @param {string} pem
+   * @param {function(Error, object)} callback
+   */
+  _decryptPrivateKey (pem, callback) {
+    let dek
+    try {
+      dek = this._()
+    } catch (err) {
+      return callback(err)
+    }
+    util.decryptPrivateKey(pem, dek, callback)
+  }
+
+  /**
+   * Gets the information about a key.
+   *
+   * The information is read from the key's metadata, the private key
+   * is not decrypted.  Keys saved without metadata get it now.
+   *
+   * @param {string} name
+   * @param {function(Error, KeyInfo)} callback
+   */
   _getKeyInfo (name, callback) {
     const self = this
     if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
+      return self._error(callback, invalidParameter(`Invalid key name '${name}'`))
     }
 
     const dsname = DsName(name)
-    this.store.get(dsname, (err, res) => {
+    self.store.has(dsname, (err, exists) => {
+      if (err || !exists) {
+        return self._error(callback, `Key '${name}' does not exist. ${err ? err.message : ''}`)
+      }
+
+      self.store.get(MetaName(name), (err, res) => {
+        if (!err) {
+          try {
+            return callback(null, keyInfo(name, JSON.parse(res.toString())))
+          } catch (err) {
+            return self._error(callback, err)
+          }
+        }
+
+        self._createMeta(name, callback)
+      })
+    })
+  }
+
+  /**
+   * Creates the metadata for a key that has none.
+   *
+   * @param {string} name
+   * @param {function(Error, KeyInfo)} callback
+   */
+  _createMeta (name, callback) {
+    const self = this
+    self.store.get(DsName(name), (err, res) => {
       if (err) {
-        return _error(callback, `Key '${name}' does not exist. ${err.message}`)
+        return self._error(callback, `Key '${name}' does not exist. ${err.message}`)
       }
       const pem = res.toString()
-      try {
-        const privateKey = forge.pki.decryptRsaPrivateKey(pem, this._())
+      self._decryptPrivateKey(pem, (err, privateKey) => {
+        if (err) return self._error(callback, err)
+
         util.keyId(privateKey, (err, kid) => {
-          if (err) return _error(callback, err)
+          if (err) return self._error(callback, err)
 
-          const info = {
-            name: name,
-            id: kid
+          const meta = {
+            id: kid,
+            type: util.keyType(privateKey),
+            size: util.keySize(privateKey),
+            created: null,
+            rotated: null,
+            origin: 'unknown',
+            labels: []
           }
-          return callback(null, info)
+          self.store.put(MetaName(name), JSON.stringify(meta), (err) => {
+            if (err) return self._error(callback, err)
+
+            callback(null, keyInfo(name, meta))
+          })
         })
-      } catch (e) {
-        _error(callback, e)
-      }
+      })
     })
   }
-  
+
   _encrypt (name, plain, callback) {
     if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
+      return this._error(callback, invalidParameter(`Invalid key name '${name}'`))
     }
 
     if (!Buffer.isBuffer(plain)) {
-      return _error(callback, 'Data is required')
+      return this._error(callback, invalidParameter('Data is required'))
     }
 
-    const dsname = DsName(name)
-    this.store.get(dsname, (err, res) => {
-      if (err) {
-        return _error(callback, `Key '${name}' does not exist. ${err.message}`)
-      }
-      const pem = res.toString()
-      try {
-        const privateKey = {
-          key: pem,
-          passphrase: this._(),
-          padding: crypto.constants.RSA_PKCS1_PADDING
+    this._checkPolicy(name, 'encrypt', (err) => {
+      if (err) return callback(err)
+
+      const dsname = DsName(name)
+      this.store.get(dsname, (err, res) => {
+        if (err) {
+          return this._error(callback, `Key '${name}' does not exist. ${err.message}`)
         }
-        const res = {
-          algorithm: 'RSA_PKCS1_PADDING',
-          cipherData: crypto.publicEncrypt(privateKey, plain)
+        const pem = res.toString()
+        try {
+          const privateKey = {
+            key: pem,
+            passphrase: this._(),
+            padding: crypto.constants.RSA_PKCS1_PADDING
+          }
+          const res = {
+            algorithm: 'RSA_PKCS1_PADDING',
+            cipherData: crypto.publicEncrypt(privateKey, plain)
+          }
+          callback(null, res)
+        } catch (err) {
+          this._error(callback, err)
         }
-        callback(null, res)
-      } catch (err) {
-        _error(callback, err)
-      }
+      })
     })
   }
 
   _decrypt (name, cipher, callback) {
     if (!validateKeyName(name)) {
-      return _error(callback, `Invalid key name '${name}'`)
+      return this._error(callback, invalidParameter(`Invalid key name '${name}'`))
     }
 
     if (!Buffer.isBuffer(cipher)) {
-      return _error(callback, 'Data is required')
+      return this._error(callback, invalidParameter('Data is required'))
     }
 
-    const dsname = DsName(name)
-    this.store.get(dsname, (err, res) => {
-      if (err) {
-        return _error(callback, `Key '${name}' does not exist. ${err.message}`)
-      }
-      const pem = res.toString()
-      try {
-        const privateKey = {
-          key: pem,
-          passphrase: this._(),
-          padding: crypto.constants.RSA_PKCS1_PADDING
+    this._checkPolicy(name, 'decrypt', (err) => {
+      if (err) return callback(err)
+
+      const dsname = DsName(name)
+      this.store.get(dsname, (err, res) => {
+        if (err) {
+          return this._error(callback, `Key '${name}' does not exist. ${err.message}`)
         }
-        callback(null, crypto.privateDecrypt(privateKey, cipher))
-      } catch (err) {
-        _error(callback, err)
-      }
+        const pem = res.toString()
+        try {
+          const privateKey = {
+            key: pem,
+            passphrase: this._(),
+            padding: crypto.constants.RSA_PKCS1_PADDING
+          }
+          callback(null, crypto.privateDecrypt(privateKey, cipher))
+        } catch (err) {
+          this._error(callback, err)
+        }
+      })
     })
   }
 
 }
 
+// Record the outcome of the operations in the audit log
+const keyName = (args) => typeof args[0] === 'string' ? args[0] : null
+;[
+  ['createKey', 'create', keyName],
+  ['removeKey', 'remove', keyName],
+  ['renameKey', 'rename', keyName, (args) => args[1]],
+  ['exportKey', 'export', keyName],
+  ['exportPeer', 'export', keyName],
+  ['importKey', 'import', keyName],
+  ['importPeer', 'import', keyName],
+  ['changePassPhrase', 'change-pass-phrase'],
+  ['backup', 'backup'],
+  ['restore', 'restore'],
+  ['_decrypt', 'decrypt', keyName],
+  ['encrypt', 'encrypt', keyName],
+  ['sign', 'sign', keyName],
+  ['createCertificateRequest', 'sign', keyName]
+].forEach((audit) => {
+  Keychain.prototype[audit[0]] = audited(audit[1], Keychain.prototype[audit[0]], audit[2], audit[3])
+})
+
+// Return a Promise when the callback is omitted
+;[
+  'lock', 'unlock'
+].forEach((method) => {
+  Keychain.prototype[method] = util.promisify(Keychain.prototype[method])
+})
+
+// Open the key chain and return a Promise when the callback is omitted
+;[
+  'createKey', 'listKeys', 'findKeyById', 'removeKey', 'renameKey',
+  'exportKey', 'exportPublicKey', 'importKey', 'importPeer', 'exportPeer', 'setLabels', 'changePassPhrase',
+  'backup', 'restore', 'auditLog', 'verifyAuditLog', 'encrypt', 'decrypt',
+  'sign', 'verify',
+  'importCertificate', 'listCertificates', 'exportCertificate', 'removeCertificate', 'createCertificateRequest',
+  'addContact', 'listContacts', 'findContactById', 'setContactTrust', 'renameContact', 'removeContact',
+  '_certificates', '_findContact', '_getPrivateKey', '_getKeyInfo', '_encrypt', '_decrypt'
+].forEach((method) => {
+  Keychain.prototype[method] = util.promisify(whenOpen(Keychain.prototype[method]))
+})
+
 module.exports = Keychain
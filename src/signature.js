@@ -0,0 +1,200 @@
+'use strict'
+
+const forge = require('node-forge')
+const libp2pCrypto = require('libp2p-crypto')
+const util = require('./util')
+
+const supportedKeys = libp2pCrypto.keys.supportedKeys
+
+exports = module.exports
+
+// The supported RSA signature schemes and hash algorithms
+exports.schemes = ['pkcs1', 'pss']
+exports.hashes = ['sha256', 'sha384', 'sha512']
+
+/**
+ * Gets the RSA options of a signature.
+ *
+ * @param {object} [options]
+ * @returns {object} the `hash` and forge `scheme`; null for PKCS #1 v1.5
+ */
+function rsaOptions (options) {
+  options = options || {}
+  const scheme = (options.scheme || 'pkcs1').toLowerCase()
+  const hash = (options.hash || 'sha256').toLowerCase()
+  if (exports.schemes.indexOf(scheme) < 0) {
+    throw new Error(`Invalid signature scheme '${options.scheme}'`)
+  }
+  if (exports.hashes.indexOf(hash) < 0) {
+    throw new Error(`Invalid hash algorithm '${options.hash}'`)
+  }
+
+  return {
+    hash: hash,
+    scheme: scheme === 'pkcs1' ? null : forge.pss.create({
+      md: forge.md[hash].create(),
+      mgf: forge.mgf.mgf1.create(forge.md[hash].create()),
+      saltLength: forge.md[hash].create().digestLength
+    })
+  }
+}
+
+/**
+ * Checks that the options are the defaults, for keys with a fixed scheme.
+ */
+function checkDefaultOptions (options) {
+  options = options || {}
+  if (options.scheme || options.hash) {
+    throw new Error('The signature scheme and hash cannot be specified for this key type')
+  }
+}
+
+/**
+ * Creates the digest of the data.
+ */
+function digest (hash, data) {
+  return forge.md[hash].create().update(data.toString('binary'))
+}
+
+/**
+ * Signs data with a private key.
+ *
+ * An RSA signature is PKCS #1 v1.5 or RSASSA-PSS; by default PKCS #1 v1.5
+ * with SHA-256.  The defaults and the Ed25519 and secp256k1 signatures
+ * are the same as libp2p-crypto's `PrivateKey.sign`.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @param {Buffer} data
+ * @param {object} [options]
+ * @param {string} [options.scheme] - 'pkcs1' or 'pss'
+ * @param {string} [options.hash] - 'sha256', 'sha384' or 'sha512'
+ * @param {function(Error, Buffer)} callback
+ */
+exports.sign = (privateKey, data, options, callback) => {
+  try {
+    switch (util.keyType(privateKey)) {
+      case 'rsa': {
+        const rsa = rsaOptions(options)
+        const signature = privateKey.sign(digest(rsa.hash, data), rsa.scheme || undefined)
+        return callback(null, Buffer.from(signature, 'binary'))
+      }
+
+      case 'ed25519':
+      case 'secp256k1':
+        checkDefaultOptions(options)
+        return privateKey.sign(data, callback)
+
+      default:
+        throw new Error('A symmetric key cannot sign')
+    }
+  } catch (err) {
+    callback(err)
+  }
+}
+
+/**
+ * Verifies a signature.
+ *
+ * @param {object} publicKey - A forge RSA public key or a libp2p-crypto public key
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ * @param {object} [options] - The `scheme` and `hash` of an RSA signature, see sign
+ * @param {function(Error, boolean)} callback
+ */
+exports.verify = (publicKey, data, signature, options, callback) => {
+  if (!(publicKey instanceof supportedKeys.ed25519.Ed25519PublicKey) &&
+      !(publicKey instanceof supportedKeys.secp256k1.Secp256k1PublicKey)) {
+    let rsa
+    try {
+      rsa = rsaOptions(options)
+    } catch (err) {
+      return callback(err)
+    }
+    let valid
+    try {
+      const bytes = digest(rsa.hash, data).digest().getBytes()
+      valid = publicKey.verify(bytes, signature.toString('binary'), rsa.scheme || undefined)
+    } catch (err) {
+      // A malformed signature
+      valid = false
+    }
+    return callback(null, valid)
+  }
+
+  try {
+    checkDefaultOptions(options)
+  } catch (err) {
+    return callback(err)
+  }
+  publicKey.verify(data, signature, (err, valid) => {
+    // A malformed signature
+    if (err) return callback(null, false)
+    callback(null, valid)
+  })
+}
+
+/**
+ * Gets the public key of a private key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {object} a forge RSA public key or a libp2p-crypto public key
+ */
+exports.publicKeyOf = (privateKey) => {
+  switch (util.keyType(privateKey)) {
+    case 'rsa':
+      return forge.pki.setRsaPublicKey(privateKey.n, privateKey.e)
+    case 'aes':
+      throw new Error('A symmetric key has no public key')
+    default:
+      return privateKey.public
+  }
+}
+
+/**
+ * Gets a public key.
+ *
+ * @param {PeerId | Buffer | string} publicKey - A PeerId, a libp2p-crypto
+ *   public key protobuf or a PEM encoded SubjectPublicKeyInfo
+ * @returns {object} a forge RSA public key or a libp2p-crypto public key
+ */
+exports.publicKeyFrom = (publicKey) => {
+  if (publicKey && typeof publicKey.marshalPubKey === 'function') {
+    publicKey = publicKey.marshalPubKey()
+  }
+
+  if (Buffer.isBuffer(publicKey)) {
+    const key = libp2pCrypto.keys.unmarshalPublicKey(publicKey)
+    if (key instanceof supportedKeys.rsa.RsaPublicKey) {
+      return util.publicKeyFrom(publicKey)
+    }
+    return key
+  }
+
+  if (typeof publicKey === 'string') {
+    const msg = forge.pem.decode(publicKey)[0]
+    if (!msg || msg.type !== 'PUBLIC KEY') {
+      throw new Error('A PEM encoded public key is required')
+    }
+    const spki = forge.asn1.fromDer(msg.body)
+    const oid = forge.asn1.derToOid(spki.value[0].value[0].value)
+    // BIT STRING with no unused bits
+    const point = Buffer.from(spki.value[1].value.slice(1), 'binary')
+    switch (oid) {
+      case forge.pki.oids.rsaEncryption:
+        return forge.pki.publicKeyFromAsn1(spki)
+      case util.oids.ed25519:
+        return new supportedKeys.ed25519.Ed25519PublicKey(point)
+      case util.oids.ecPublicKey: {
+        const curve = forge.asn1.derToOid(spki.value[0].value[1].value)
+        if (curve !== util.oids.secp256k1) {
+          throw new Error(`Unsupported elliptic curve '${curve}'`)
+        }
+        return new supportedKeys.secp256k1.Secp256k1PublicKey(point)
+      }
+      default:
+        throw new Error(`Unsupported public key algorithm '${oid}'`)
+    }
+  }
+
+  throw new Error('A PeerId, public key protobuf or PEM is required')
+}
@@ -5,13 +5,100 @@ const pki = forge.pki
 const multihash = require('multihashes')
 const rsaUtils = require('libp2p-crypto/src/keys/rsa-utils')
 const rsaClass = require('libp2p-crypto/src/keys/rsa-class')
+const libp2pCrypto = require('libp2p-crypto')
+const AesKey = require('./aes-key')
 
 exports = module.exports
 
+const supportedKeys = libp2pCrypto.keys.supportedKeys
+
+// Object identifiers used in a PKCS #8 PrivateKeyInfo.
+// See RFC 8410 (Ed25519), RFC 5915 (EC private keys) and RFC 5084 (AES-GCM)
+const oids = {
+  rsaEncryption: pki.oids.rsaEncryption,
+  ed25519: '1.3.101.112',
+  ecPublicKey: '1.2.840.10045.2.1',
+  secp256k1: '1.3.132.0.10',
+  aes128GCM: '2.16.840.1.101.3.4.1.6',
+  aes192GCM: '2.16.840.1.101.3.4.1.26',
+  aes256GCM: '2.16.840.1.101.3.4.1.46'
+}
+exports.oids = oids
+
+/**
+ * Gets the size, in bits, of a private key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {number}
+ */
+exports.keySize = (privateKey) => {
+  switch (exports.keyType(privateKey)) {
+    case 'rsa': return privateKey.n.bitLength()
+    case 'aes': return privateKey.size
+    default: return 256
+  }
+}
+
+/**
+ * Allows a method with a node-style callback to also return a Promise.
+ *
+ * When the last argument is not a function, the method returns a Promise
+ * instead of calling back.  Omitted optional arguments are passed as undefined.
+ *
+ * @param {function} fn - A function whose last parameter is the callback
+ * @returns {function}
+ */
+exports.promisify = (fn) => {
+  const arity = fn.length - 1
+  const pad = (args) => {
+    args = args.slice(0, arity)
+    while (args.length < arity) args.push(undefined)
+    return args
+  }
+
+  return function () {
+    const args = Array.from(arguments)
+    if (typeof args[args.length - 1] === 'function') {
+      const callback = args.pop()
+      return fn.apply(this, pad(args).concat(callback))
+    }
+
+    return new Promise((resolve, reject) => {
+      fn.apply(this, pad(args).concat((err, res) => {
+        if (err) return reject(err)
+        resolve(res)
+      }))
+    })
+  }
+}
+
+/**
+ * Gets the type of a private key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {string} 'rsa', 'ed25519', 'secp256k1' or 'aes'
+ */
+exports.keyType = (privateKey) => {
+  if (privateKey instanceof AesKey) return 'aes'
+  if (privateKey instanceof supportedKeys.ed25519.Ed25519PrivateKey) return 'ed25519'
+  if (privateKey instanceof supportedKeys.secp256k1.Secp256k1PrivateKey) return 'secp256k1'
+  if (privateKey && privateKey.n && privateKey.e) return 'rsa'
+  throw new Error('Unknown private key type')
+}
+
 // Create an IPFS key id; the SHA-256 multihash of a public key.
 // See https://github.com/richardschneider/ipfs-encryption/issues/16
 exports.keyId = (privateKey, callback) => {
   try {
+    if (exports.keyType(privateKey) !== 'rsa') {
+      const hashable = privateKey instanceof AesKey ? privateKey : privateKey.public
+      return hashable.hash((err, kid) => {
+        if (err) return callback(err)
+
+        callback(null, multihash.toB58String(kid))
+      })
+    }
+
     const publicKey = pki.setRsaPublicKey(privateKey.n, privateKey.e)
     const spki = pki.publicKeyToSubjectPublicKeyInfo(publicKey)
     const der = new Buffer(forge.asn1.toDer(spki).getBytes(), 'binary')
@@ -28,14 +115,413 @@ exports.keyId = (privateKey, callback) => {
   }
 }
 
-exports.certificateForKey = (privateKey, callback) => {
-  exports.keyId(privateKey, (err, kid) => {
+/**
+ * Converts a private key into a PKCS #8 PrivateKeyInfo.
+ *
+ * An AES key has its AES-GCM algorithm identifier and the key bytes
+ * as the private key.
+ *
+ * @param {object} privateKey - A forge RSA key, a libp2p-crypto key or an AesKey
+ * @returns {object} the ASN.1 PrivateKeyInfo
+ */
+exports.privateKeyToPkcs8 = (privateKey) => {
+  const asn1 = forge.asn1
+  let algorithm
+  let key
+  switch (exports.keyType(privateKey)) {
+    case 'rsa':
+      return pki.wrapRsaPrivateKey(pki.privateKeyToAsn1(privateKey))
+
+    case 'ed25519':
+      algorithm = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oids.ed25519).getBytes())
+      ]
+      // CurvePrivateKey ::= OCTET STRING, the 32 byte seed
+      key = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+        Buffer.from(privateKey.marshal().slice(0, 32)).toString('binary'))
+      break
+
+    case 'secp256k1':
+      algorithm = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oids.ecPublicKey).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oids.secp256k1).getBytes())
+      ]
+      // ECPrivateKey ::= SEQUENCE { version INTEGER (1), privateKey OCTET STRING }
+      key = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+          Buffer.from(privateKey.marshal()).toString('binary'))
+      ])
+      break
+
+    case 'aes':
+      algorithm = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+          asn1.oidToDer(oids[`aes${privateKey.size}GCM`]).getBytes())
+      ]
+      key = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+        privateKey.key.toString('binary'))
+      break
+  }
+
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(0).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, algorithm),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(key).getBytes())
+  ])
+}
+
+/**
+ * Converts a PKCS #8 PrivateKeyInfo into a private key.
+ *
+ * RSA keys are returned as forge keys, all others as libp2p-crypto keys.
+ *
+ * @param {object} info - the ASN.1 PrivateKeyInfo
+ * @param {function(Error, object)} callback
+ */
+exports.privateKeyFromPkcs8 = (info, callback) => {
+  const asn1 = forge.asn1
+  let oid
+  let key
+  try {
+    oid = asn1.derToOid(info.value[1].value[0].value)
+    if (oid === oids.rsaEncryption) {
+      return callback(null, pki.privateKeyFromAsn1(info))
+    }
+    key = asn1.fromDer(info.value[2].value)
+  } catch (err) {
+    return callback(err)
+  }
+
+  if (oid === oids.ed25519) {
+    const seed = Buffer.from(key.value, 'binary')
+    return supportedKeys.ed25519.generateKeyPairFromSeed(seed, 256, callback)
+  }
+
+  if (oid === oids.ecPublicKey) {
+    try {
+      const curve = asn1.derToOid(info.value[1].value[1].value)
+      if (curve !== oids.secp256k1) {
+        throw new Error(`Unsupported elliptic curve '${curve}'`)
+      }
+      const d = Buffer.from(key.value[1].value, 'binary')
+      return callback(null, new supportedKeys.secp256k1.Secp256k1PrivateKey(d))
+    } catch (err) {
+      return callback(err)
+    }
+  }
+
+  if ([oids.aes128GCM, oids.aes192GCM, oids.aes256GCM].indexOf(oid) >= 0) {
+    try {
+      return callback(null, new AesKey(Buffer.from(key.value, 'binary')))
+    } catch (err) {
+      return callback(err)
+    }
+  }
+
+  callback(new Error(`Unsupported private key algorithm '${oid}'`))
+}
+
+/**
+ * Encrypts a private key as PEM encoded PKCS #8.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @param {string} password
+ * @param {object} [options] - See forge.pki.encryptPrivateKeyInfo
+ * @returns {string}
+ */
+exports.encryptPrivateKey = (privateKey, password, options) => {
+  const info = exports.privateKeyToPkcs8(privateKey)
+  const encrypted = pki.encryptPrivateKeyInfo(info, password, options)
+  return pki.encryptedPrivateKeyToPem(encrypted)
+}
+
+/**
+ * Creates the error for a wrong password.
+ */
+function wrongPassword () {
+  const err = new Error('Cannot read the key, most likely the password is wrong')
+  err.code = 'ERR_INVALID_PASSWORD'
+  return err
+}
+
+/**
+ * Runs a forge decryption with a password.
+ *
+ * A wrong password can decrypt to garbage that fails to parse, rather than
+ * returning null, so any error other than an unsupported algorithm is a
+ * wrong password.
+ */
+function withPassword (decrypt) {
+  let res
+  try {
+    res = decrypt()
+  } catch (err) {
+    throw isUnsupported(err) ? err : wrongPassword()
+  }
+  if (res === null) throw wrongPassword()
+  return res
+}
+
+/**
+ * Determines if an error is for an unsupported algorithm or structure.
+ */
+function isUnsupported (err) {
+  return /unsupported|not a supported/i.test(err.message)
+}
+
+/**
+ * Decrypts a PEM encoded private key.
+ *
+ * @param {string} pem - Encrypted PKCS #8 or a legacy RSA key
+ * @param {string} password
+ * @param {function(Error, object)} callback
+ */
+exports.decryptPrivateKey = (pem, password, callback) => {
+  let info
+  try {
+    const msg = forge.pem.decode(pem)[0]
+    if (msg.type !== 'ENCRYPTED PRIVATE KEY') {
+      return callback(null, withPassword(() => pki.decryptRsaPrivateKey(pem, password)))
+    }
+    const obj = forge.asn1.fromDer(msg.body)
+    info = withPassword(() => pki.decryptPrivateKeyInfo(obj, password))
+  } catch (err) {
+    return callback(err)
+  }
+  exports.privateKeyFromPkcs8(info, (err, key) => {
+    // Garbage from a wrong password can be valid DER
+    if (err && !isUnsupported(err)) return callback(wrongPassword())
+    callback(err, key)
+  })
+}
+
+/**
+ * Encodes a Buffer with base64url, see RFC 7515.
+ *
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+exports.base64url = (buf) => {
+  return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+const base64url = exports.base64url
+
+/**
+ * Gets the subject key identifier of a certificate.
+ *
+ * When the certificate does not have the extension, it is the SHA-1 hash of
+ * the public key; see RFC 5280 section 4.2.1.2.
+ *
+ * @param {forge.pki.Certificate} cert
+ * @returns {string} hex encoded
+ */
+exports.subjectKeyIdentifier = (cert) => {
+  const extension = cert.getExtension('subjectKeyIdentifier')
+  if (extension) return extension.subjectKeyIdentifier
+  return pki.getPublicKeyFingerprint(cert.publicKey, { type: 'RSAPublicKey', encoding: 'hex' })
+}
+
+/**
+ * Creates the serial number of a key's certificate.
+ *
+ * The serial number is derived from the key id, so that a key's
+ * certificate always has the same issuer and serial number.  It is a
+ * positive 128 bit number whose top byte is neither 0 nor above 0x7f, so
+ * its DER INTEGER is minimal.
+ *
+ * @param {string} kid - The key id
+ * @returns {string} the hex encoded serial number
+ */
+function serialNumber (kid) {
+  const hash = forge.md.sha256.create().update(kid).digest().toHex()
+  return ((parseInt(hash[0], 16) & 0x7) | 0x4).toString(16) + hash.slice(1, 32)
+}
+
+/**
+ * Converts a forge big integer into an unsigned big endian Buffer.
+ */
+function bigIntegerToBuffer (n) {
+  let hex = n.toString(16)
+  if (hex.length % 2) hex = '0' + hex
+  return Buffer.from(hex, 'hex')
+}
+
+/**
+ * Gets the uncompressed point of a secp256k1 public key.
+ *
+ * @param {Buffer} compressed - The 33 byte compressed point
+ * @returns {Buffer} 0x04, x and y
+ */
+function decompressSecp256k1 (compressed) {
+  const BigInteger = forge.jsbn.BigInteger
+  const p = new BigInteger('FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F', 16)
+  const x = new BigInteger(compressed.slice(1).toString('hex'), 16)
+
+  // y^2 = x^3 + 7 (mod p) and p = 3 (mod 4)
+  const y2 = x.modPow(new BigInteger('3'), p).add(new BigInteger('7')).mod(p)
+  let y = y2.modPow(p.add(BigInteger.ONE).shiftRight(2), p)
+  if (y.testBit(0) !== (compressed[0] === 3)) {
+    y = p.subtract(y)
+  }
+
+  const pad = (b) => Buffer.concat([Buffer.alloc(32 - b.length), b])
+  return Buffer.concat([Buffer.from([4]), pad(bigIntegerToBuffer(x)), pad(bigIntegerToBuffer(y))])
+}
+
+/**
+ * Gets the raw public key of a non-RSA key.
+ */
+function rawPublicKey (privateKey) {
+  const raw = privateKey.public.marshal()
+  if (exports.keyType(privateKey) === 'secp256k1' && raw.length === 33) {
+    return decompressSecp256k1(raw)
+  }
+  return raw
+}
+
+/**
+ * Gets the SubjectPublicKeyInfo of a private key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {object} the ASN.1 SubjectPublicKeyInfo
+ */
+exports.publicKeyToSpki = (privateKey) => {
+  const asn1 = forge.asn1
+  const type = exports.keyType(privateKey)
+  if (type === 'rsa') {
+    return pki.publicKeyToSubjectPublicKeyInfo(pki.setRsaPublicKey(privateKey.n, privateKey.e))
+  }
+
+  const algorithm = type === 'ed25519'
+    ? [oids.ed25519]
+    : [oids.ecPublicKey, oids.secp256k1]
+  const point = rawPublicKey(privateKey).toString('binary')
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, algorithm.map((oid) => {
+      return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes())
+    })),
+    // BIT STRING with no unused bits
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, String.fromCharCode(0) + point)
+  ])
+}
+
+/**
+ * Gets the JSON Web Key of a private key's public key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {object}
+ */
+exports.publicKeyToJwk = (privateKey) => {
+  switch (exports.keyType(privateKey)) {
+    case 'rsa':
+      return {
+        kty: 'RSA',
+        n: base64url(bigIntegerToBuffer(privateKey.n)),
+        e: base64url(bigIntegerToBuffer(privateKey.e))
+      }
+
+    case 'ed25519':
+      return {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: base64url(rawPublicKey(privateKey))
+      }
+
+    case 'secp256k1': {
+      const point = rawPublicKey(privateKey)
+      return {
+        kty: 'EC',
+        crv: 'secp256k1',
+        x: base64url(point.slice(1, 33)),
+        y: base64url(point.slice(33))
+      }
+    }
+  }
+}
+
+/**
+ * Gets the libp2p-crypto protobuf of a private key's public key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @returns {Buffer}
+ */
+exports.publicKeyToProtobuf = (privateKey) => {
+  if (exports.keyType(privateKey) !== 'rsa') {
+    return privateKey.public.bytes
+  }
+
+  const spki = exports.publicKeyToSpki(privateKey)
+  const der = Buffer.from(forge.asn1.toDer(spki).getBytes(), 'binary')
+  return supportedKeys.rsa.unmarshalRsaPublicKey(der).bytes
+}
+
+/**
+ * Gets the libp2p-crypto protobuf of a private key.
+ *
+ * @param {object} privateKey - A forge RSA key or a libp2p-crypto key
+ * @param {function(Error, Buffer)} callback
+ */
+exports.privateKeyToProtobuf = (privateKey, callback) => {
+  try {
+    if (exports.keyType(privateKey) !== 'rsa') {
+      return callback(null, privateKey.bytes)
+    }
+  } catch (err) {
+    return callback(err)
+  }
+
+  const der = forge.asn1.toDer(pki.privateKeyToAsn1(privateKey)).getBytes()
+  supportedKeys.rsa.unmarshalRsaPrivateKey(Buffer.from(der, 'binary'), (err, key) => {
+    if (err) return callback(err)
+    callback(null, key.bytes)
+  })
+}
+
+/**
+ * Gets an RSA public key.
+ *
+ * @param {PeerId | Buffer | string} publicKey - A PeerId, a libp2p-crypto
+ *   public key protobuf or a PEM encoded SubjectPublicKeyInfo
+ * @returns {forge.pki.rsa.PublicKey}
+ */
+exports.publicKeyFrom = (publicKey) => {
+  if (publicKey && typeof publicKey.marshalPubKey === 'function') {
+    publicKey = publicKey.marshalPubKey()
+  }
+
+  if (Buffer.isBuffer(publicKey)) {
+    const key = libp2pCrypto.keys.unmarshalPublicKey(publicKey)
+    if (!(key instanceof supportedKeys.rsa.RsaPublicKey)) {
+      throw new Error('An RSA public key is required')
+    }
+    const der = forge.util.createBuffer(key.marshal().toString('binary'))
+    return pki.publicKeyFromAsn1(forge.asn1.fromDer(der))
+  }
+
+  if (typeof publicKey === 'string') {
+    return pki.publicKeyFromPem(publicKey)
+  }
+
+  throw new Error('A PeerId, public key protobuf or PEM is required')
+}
+
+/**
+ * Creates an unsigned certificate for a public key.
+ *
+ * The issuer and subject identify the IPFS key id, so the certificate can
+ * name the recipient of a CMS message.
+ *
+ * @param {forge.pki.rsa.PublicKey} publicKey
+ * @param {function(Error, forge.pki.Certificate)} callback
+ */
+exports.certificateForPublicKey = (publicKey, callback) => {
+  exports.keyId(publicKey, (err, kid) => {
     if (err) return callback(err)
 
-    const publicKey = pki.setRsaPublicKey(privateKey.n, privateKey.e)
     const cert = pki.createCertificate();
     cert.publicKey = publicKey;
-    cert.serialNumber = '01';
+    cert.serialNumber = serialNumber(kid);
     cert.validity.notBefore = new Date();
     cert.validity.notAfter = new Date();
     cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 10);
@@ -51,33 +537,61 @@ exports.certificateForKey = (privateKey, callback) => {
     }];
     cert.setSubject(attrs);
     cert.setIssuer(attrs);
-    cert.setExtensions([{
+
+    return callback(null, cert)
+  })
+}
+
+/**
+ * Creates a self-signed certificate for a private key.
+ *
+ * The key usage and validity reflect the key's policy; a key that can
+ * sign has a digital signature usage and a key that can encrypt or
+ * decrypt has a key encipherment usage.
+ *
+ * @param {forge.pki.rsa.PrivateKey} privateKey
+ * @param {object} [policy] - The `operations` and `notAfter` of the key
+ * @param {function(Error, forge.pki.Certificate)} callback
+ */
+exports.certificateForKey = (privateKey, policy, callback) => {
+  try {
+    if (exports.keyType(privateKey) !== 'rsa') {
+      throw new Error('A certificate requires an RSA key')
+    }
+  } catch (err) {
+    return callback(err)
+  }
+  policy = policy || {}
+  const operations = policy.operations || ['encrypt', 'decrypt', 'sign']
+  const canSign = operations.indexOf('sign') >= 0
+  const canEncrypt = operations.indexOf('encrypt') >= 0 || operations.indexOf('decrypt') >= 0
+
+  const publicKey = pki.setRsaPublicKey(privateKey.n, privateKey.e)
+  exports.certificateForPublicKey(publicKey, (err, cert) => {
+    if (err) return callback(err)
+
+    if (policy.notAfter) {
+      cert.validity.notAfter = new Date(policy.notAfter)
+    }
+    const extensions = [{
       name: 'basicConstraints',
-      cA: true
+      cA: false
     }, {
-      name: 'keyUsage',
-      keyCertSign: true,
-      digitalSignature: true,
-      nonRepudiation: true,
-      keyEncipherment: true,
-      dataEncipherment: true
-    }, {
-      name: 'extKeyUsage',
-      serverAuth: true,
-      clientAuth: true,
-      codeSigning: true,
-      emailProtection: true,
-      timeStamping: true
+      name: 'subjectKeyIdentifier'
     }, {
-      name: 'nsCertType',
-      client: true,
-      server: true,
-      email: true,
-      objsign: true,
-      sslCA: true,
-      emailCA: true,
-      objCA: true
-    }]);
+      name: 'keyUsage',
+      digitalSignature: canSign,
+      nonRepudiation: canSign,
+      keyEncipherment: canEncrypt,
+      dataEncipherment: canEncrypt
+    }]
+    if (canSign || canEncrypt) {
+      extensions.push({
+        name: 'extKeyUsage',
+        emailProtection: true
+      })
+    }
+    cert.setExtensions(extensions)
     // self-sign certificate
     cert.sign(privateKey)
 